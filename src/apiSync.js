@@ -0,0 +1,328 @@
+/**
+ * 本地接口文档与Apifox的增量同步
+ * 以上次同步时记录的摘要为基准，对比本地和远程的接口、数据模型，判断变更来自哪一侧并生成同步计划
+ */
+
+const crypto = require('crypto');
+
+// 参与对比的HTTP方法
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// 同步方式：diff 只对比，push 本地推送到Apifox，pull 从Apifox拉取到本地
+const SYNC_MODES = ['diff', 'push', 'pull'];
+
+// 冲突处理：local 保留本地，remote 保留远程，abort 存在冲突时不做任何修改
+const CONFLICT_POLICIES = ['local', 'remote', 'abort'];
+
+class ApiSyncPlanner {
+    /**
+     * 获取支持的同步方式
+     * @returns {Array} 同步方式列表
+     */
+    getModes() {
+        return SYNC_MODES;
+    }
+
+    /**
+     * 获取支持的冲突处理方式
+     * @returns {Array} 冲突处理方式列表
+     */
+    getConflictPolicies() {
+        return CONFLICT_POLICIES;
+    }
+
+    /**
+     * 按键排序序列化，忽略Apifox导出时附加的 x-apifox 扩展字段
+     * @param {*} value - 待序列化的值
+     * @returns {string} 规范化的JSON
+     */
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => !key.startsWith('x-apifox') && value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * 计算结构摘要
+     * @param {*} value - 接口或数据模型定义
+     * @returns {string} 摘要
+     */
+    hash(value) {
+        return crypto.createHash('sha1').update(this.canonicalize(value)).digest('hex');
+    }
+
+    /**
+     * 生成接口的键，如 GET /users/{id}
+     * @param {string} method - 请求方法
+     * @param {string} pathKey - 路径
+     * @returns {string} 接口键
+     */
+    operationKey(method, pathKey) {
+        return `${method.toUpperCase()} ${pathKey}`;
+    }
+
+    /**
+     * 从文档中收集接口和数据模型
+     * @param {Object} document - OpenAPI文档
+     * @param {string|null} file - 文档所在文件，远程文档为null
+     * @param {Object} result - 收集结果 {operations, schemas, warnings}
+     */
+    collect(document, file, result) {
+        for (const [pathKey, pathItem] of Object.entries(document.paths || {})) {
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem && pathItem[method];
+                if (!operation) {
+                    continue;
+                }
+
+                const key = this.operationKey(method, pathKey);
+                if (result.operations.has(key)) {
+                    result.warnings.push(`接口 ${key} 在 ${result.operations.get(key).file} 和 ${file} 中重复定义，使用前者`);
+                    continue;
+                }
+                result.operations.set(key, {key, file, pathKey, method, operation, hash: this.hash(operation)});
+            }
+        }
+
+        const schemas = (document.components && document.components.schemas) || {};
+        for (const [name, schema] of Object.entries(schemas)) {
+            const hash = this.hash(schema);
+            const existing = result.schemas.get(name);
+            if (!existing) {
+                result.schemas.set(name, {key: name, file, schema, hash});
+            } else if (existing.hash !== hash) {
+                result.warnings.push(`数据模型 ${name} 在 ${existing.file} 和 ${file} 中不一致，使用前者`);
+            }
+        }
+    }
+
+    /**
+     * 收集本地文档
+     * 每个接口文件都带有完整的 components，同名数据模型按第一次出现的定义为准
+     * @param {Array} documents - 文档列表 [{file, document}]
+     * @returns {Object} {operations, schemas, warnings}
+     */
+    collectLocal(documents) {
+        const result = {operations: new Map(), schemas: new Map(), warnings: []};
+        for (const {file, document} of documents) {
+            this.collect(document, file, result);
+        }
+        return result;
+    }
+
+    /**
+     * 收集Apifox导出的文档
+     * @param {Object} spec - OpenAPI文档
+     * @returns {Object} {operations, schemas, warnings}
+     */
+    collectRemote(spec) {
+        const result = {operations: new Map(), schemas: new Map(), warnings: []};
+        this.collect(spec || {}, null, result);
+        return result;
+    }
+
+    /**
+     * 对比本地和远程
+     * 与上次同步的摘要对比，只有一侧变化时变更来自该侧，两侧都变化且结果不同为冲突；
+     * 没有同步记录时两侧都存在但不同的项目视为冲突
+     * @param {Object} local - collectLocal 的结果
+     * @param {Object} remote - collectRemote 的结果
+     * @param {Object} base - 上次同步记录 {operations, schemas}
+     * @returns {Object} {changes, unchanged}
+     */
+    diff(local, remote, base) {
+        const changes = [];
+        const unchanged = {operations: {}, schemas: {}};
+
+        for (const [type, collection] of [['operation', 'operations'], ['schema', 'schemas']]) {
+            const baseHashes = (base && base[collection]) || {};
+            const keys = new Set([...local[collection].keys(), ...remote[collection].keys()]);
+
+            for (const key of [...keys].sort()) {
+                const localItem = local[collection].get(key);
+                const remoteItem = remote[collection].get(key);
+                const localHash = localItem ? localItem.hash : null;
+                const remoteHash = remoteItem ? remoteItem.hash : null;
+                const baseHash = baseHashes[key] || null;
+
+                if (localHash === remoteHash) {
+                    unchanged[collection][key] = localHash;
+                    continue;
+                }
+
+                const localChanged = localHash !== baseHash;
+                const remoteChanged = remoteHash !== baseHash;
+                const side = localChanged && remoteChanged ? 'conflict' : (localChanged ? 'local' : 'remote');
+                const changedHash = side === 'remote' ? remoteHash : localHash;
+
+                let change;
+                if (side === 'conflict') {
+                    change = !localHash ? 'removed' : (!remoteHash ? 'added' : 'modified');
+                } else {
+                    change = changedHash === null ? 'removed' : (baseHash === null ? 'added' : 'modified');
+                }
+
+                changes.push({
+                    type,
+                    key,
+                    change,
+                    side,
+                    file: localItem && type === 'operation' ? localItem.file : null,
+                    localHash,
+                    remoteHash
+                });
+            }
+        }
+
+        return {changes, unchanged};
+    }
+
+    /**
+     * 根据同步方式和冲突处理方式生成同步计划
+     * 只向同步方向写入：push 只修改Apifox，pull 只修改本地
+     * @param {Array} changes - diff 返回的变更
+     * @param {string} mode - 同步方式
+     * @param {string} conflict - 冲突处理方式
+     * @returns {Object} {push, pull, skipped, conflicts, aborted}
+     */
+    plan(changes, mode, conflict) {
+        const plan = {push: [], pull: [], skipped: [], conflicts: changes.filter(item => item.side === 'conflict'), aborted: false};
+        if (mode === 'diff') {
+            return plan;
+        }
+        if (plan.conflicts.length && conflict === 'abort') {
+            plan.aborted = true;
+            return plan;
+        }
+
+        for (const item of changes) {
+            const winner = item.side === 'conflict' ? conflict : item.side;
+            if (mode === 'push' && winner === 'local') {
+                if (item.localHash === null) {
+                    plan.skipped.push({...item, reason: 'Apifox导入接口不支持删除，请在Apifox中手动删除'});
+                } else {
+                    plan.push.push(item);
+                }
+            } else if (mode === 'pull' && winner === 'remote') {
+                plan.pull.push(item);
+            } else {
+                plan.skipped.push({...item, reason: winner === 'local' ? '本地变更，pull 时保留本地' : '远程变更，push 时保留远程'});
+            }
+        }
+        return plan;
+    }
+
+    /**
+     * 收集节点中引用的数据模型名称
+     * @param {*} node - 接口或数据模型定义
+     * @param {Set} [names] - 收集结果
+     * @returns {Set} 数据模型名称
+     */
+    collectSchemaRefs(node, names = new Set()) {
+        if (Array.isArray(node)) {
+            node.forEach(item => this.collectSchemaRefs(item, names));
+            return names;
+        }
+        if (!node || typeof node !== 'object') {
+            return names;
+        }
+
+        const match = typeof node.$ref === 'string' && node.$ref.match(/^#\/components\/schemas\/([^/]+)/);
+        if (match) {
+            names.add(match[1].replace(/~1/g, '/').replace(/~0/g, '~'));
+        }
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') {
+                this.collectSchemaRefs(value, names);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * 生成推送到Apifox的文档，只包含需要推送的接口和数据模型
+     * 推送的接口和数据模型引用的其他数据模型只有两侧一致时才一并发送，保证引用可以解析，又不会覆盖远程的修改
+     * @param {Array} items - 需要推送的变更
+     * @param {Object} local - collectLocal 的结果
+     * @param {Object} [template] - 提供 openapi/info 的文档
+     * @param {Object} [unchanged] - diff 返回的两侧一致的项目
+     * @returns {Object} OpenAPI文档
+     */
+    buildPushDocument(items, local, template = {}, unchanged = {}) {
+        const document = {
+            openapi: template.openapi || '3.1.0',
+            info: template.info || {title: 'sync', version: '1.0.0'},
+            paths: {},
+            components: {schemas: {}}
+        };
+
+        const pending = [];
+        for (const item of items.filter(item => item.type === 'operation')) {
+            const {pathKey, method, operation} = local.operations.get(item.key);
+            document.paths[pathKey] = document.paths[pathKey] || {};
+            document.paths[pathKey][method] = operation;
+            pending.push(operation);
+        }
+
+        const names = new Set(items.filter(item => item.type === 'schema').map(item => item.key));
+        pending.push(...[...names].map(name => local.schemas.get(name).schema));
+        const unchangedSchemas = (unchanged && unchanged.schemas) || {};
+
+        // 逐层展开引用，远程有修改或只存在于一侧的数据模型不发送
+        while (pending.length) {
+            for (const name of this.collectSchemaRefs(pending.pop())) {
+                if (names.has(name) || !local.schemas.has(name) || !Object.prototype.hasOwnProperty.call(unchangedSchemas, name)) {
+                    continue;
+                }
+                names.add(name);
+                pending.push(local.schemas.get(name).schema);
+            }
+        }
+
+        for (const name of local.schemas.keys()) {
+            if (names.has(name)) {
+                document.components.schemas[name] = local.schemas.get(name).schema;
+            }
+        }
+
+        return document;
+    }
+
+    /**
+     * 计算同步后的记录：两侧一致的项目和已同步的项目记录新的摘要，未同步的项目保留原记录
+     * @param {Object} base - 上次同步记录，摘要以外的字段（如下载范围）原样保留
+     * @param {Object} diffResult - diff 的结果
+     * @param {Array} applied - 已执行的变更，每项带 direction: push | pull
+     * @returns {Object} 新的同步记录 {...base, operations, schemas, syncedAt}
+     */
+    nextState(base, diffResult, applied) {
+        const state = {
+            ...base,
+            operations: {...((base && base.operations) || {})},
+            schemas: {...((base && base.schemas) || {})}
+        };
+
+        for (const collection of ['operations', 'schemas']) {
+            Object.assign(state[collection], diffResult.unchanged[collection]);
+        }
+        for (const item of applied) {
+            const collection = item.type === 'operation' ? 'operations' : 'schemas';
+            const hash = item.direction === 'push' ? item.localHash : item.remoteHash;
+            if (hash === null) {
+                delete state[collection][item.key];
+            } else {
+                state[collection][item.key] = hash;
+            }
+        }
+
+        state.syncedAt = new Date().toISOString();
+        return state;
+    }
+}
+
+module.exports = ApiSyncPlanner;
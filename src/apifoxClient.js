@@ -0,0 +1,304 @@
+/**
+ * Apifox开放API客户端
+ * 统一管理开放API地址、版本、语言、超时和代理，所有Apifox相关工具共用
+ */
+
+const axios = require('axios');
+const config = require('./config');
+
+// 导入时与已有接口/数据模型匹配的处理方式：覆盖、自动合并、保留已有、新建
+const OVERWRITE_BEHAVIORS = ['OVERWRITE_EXISTING', 'AUTO_MERGE', 'KEEP_EXISTING', 'CREATE_NEW'];
+
+// 退避重试的最长等待时间(毫秒)，Retry-After 超过该值时按该值等待
+const MAX_BACKOFF_DELAY = 30000;
+
+class ApifoxClient {
+    /**
+     * @param {Object} [options] - 客户端配置，默认使用 config.apifox
+     * @param {string} [options.baseURL] - 开放API地址，如 https://api.apifox.com/v1
+     * @param {string} [options.apiVersion] - X-Apifox-Api-Version 请求头
+     * @param {string} [options.locale] - 返回信息的语言
+     * @param {number} [options.timeout] - 单次请求超时(毫秒)
+     * @param {number} [options.retries] - 失败后的最多尝试次数
+     * @param {number} [options.retryDelay=1000] - 重试间隔(毫秒)，导入按指数退避时为首次等待时间
+     * @param {string} [options.proxy] - HTTP代理地址
+     * @param {string} [options.apiKey] - 默认API密钥
+     * @param {string} [options.defaultProjectId] - 默认项目ID
+     * @param {number} [options.endpointFolderId] - 默认导入的接口目录ID
+     * @param {number} [options.schemaFolderId] - 默认导入的数据模型目录ID
+     * @param {string} [options.endpointOverwriteBehavior] - 默认的接口匹配处理方式
+     * @param {string} [options.schemaOverwriteBehavior] - 默认的数据模型匹配处理方式
+     */
+    constructor(options = config.apifox) {
+        this.baseURL = String(options.baseURL || 'https://api.apifox.com/v1').replace(/\/+$/, '');
+        this.apiVersion = options.apiVersion || '2024-03-28';
+        this.locale = options.locale || 'zh-CN';
+        this.timeout = options.timeout || 60000;
+        this.retries = Math.max(1, options.retries || 3);
+        this.retryDelay = options.retryDelay === undefined ? 1000 : options.retryDelay;
+        this.proxy = this.parseProxy(options.proxy);
+        this.apiKey = options.apiKey || '';
+        this.defaultProjectId = options.defaultProjectId || '';
+        this.importDefaults = {
+            endpointFolderId: options.endpointFolderId || 0,
+            schemaFolderId: options.schemaFolderId || 0,
+            endpointOverwriteBehavior: options.endpointOverwriteBehavior || 'OVERWRITE_EXISTING',
+            schemaOverwriteBehavior: options.schemaOverwriteBehavior || 'OVERWRITE_EXISTING',
+            // 删除导入数据中不存在的接口和数据模型只能在调用时显式开启
+            deleteUnmatchedResources: false
+        };
+    }
+
+    /**
+     * 获取支持的匹配处理方式
+     * @returns {Array} 处理方式列表
+     */
+    getOverwriteBehaviors() {
+        return OVERWRITE_BEHAVIORS;
+    }
+
+    /**
+     * 确定项目ID和API密钥，未传入时使用 APIFOX_DEFAULT_PROJECT_ID 和 APIFOX_API_KEY
+     * @param {string} [projectId] - 项目ID
+     * @param {string} [apiKey] - API密钥
+     * @returns {Object} {projectId, apiKey}
+     */
+    resolveCredentials(projectId, apiKey) {
+        const resolved = {
+            projectId: String(projectId || this.defaultProjectId || ''),
+            apiKey: apiKey || this.apiKey
+        };
+        if (!resolved.projectId) {
+            throw new Error('缺少 projectId，请在调用时传入或设置环境变量 APIFOX_DEFAULT_PROJECT_ID');
+        }
+        if (!resolved.apiKey) {
+            throw new Error('缺少 apiKey，请在调用时传入或设置环境变量 APIFOX_API_KEY');
+        }
+        return resolved;
+    }
+
+    /**
+     * 生成导入选项，未传入的选项使用配置中的默认值
+     * @param {Object} [overrides] - 选项
+     * @param {number} [overrides.endpointFolderId] - 接口导入到的目录ID，0为根目录
+     * @param {number} [overrides.schemaFolderId] - 数据模型导入到的目录ID，0为根目录
+     * @param {string} [overrides.endpointOverwriteBehavior] - 与已有接口匹配时的处理方式
+     * @param {string} [overrides.schemaOverwriteBehavior] - 与已有数据模型匹配时的处理方式
+     * @param {boolean} [overrides.deleteUnmatchedResources] - 是否删除导入数据中不存在的接口和数据模型
+     * @returns {Object} Apifox导入接口的 options
+     */
+    buildImportOptions(overrides = {}) {
+        const pick = key => overrides[key] === undefined || overrides[key] === null ? this.importDefaults[key] : overrides[key];
+
+        const folderId = key => {
+            const value = pick(key);
+            if (!/^\d+$/.test(String(value))) {
+                throw new Error(`${key} 必须是数字ID: ${value}`);
+            }
+            return Number(value);
+        };
+        const behavior = key => {
+            const value = pick(key);
+            if (!OVERWRITE_BEHAVIORS.includes(value)) {
+                throw new Error(`不支持的 ${key}: ${value}，可选: ${OVERWRITE_BEHAVIORS.join(', ')}`);
+            }
+            return value;
+        };
+
+        const options = {
+            endpointOverwriteBehavior: behavior('endpointOverwriteBehavior'),
+            schemaOverwriteBehavior: behavior('schemaOverwriteBehavior'),
+            deleteUnmatchedResources: pick('deleteUnmatchedResources') === true
+        };
+        const endpointFolderId = folderId('endpointFolderId');
+        const schemaFolderId = folderId('schemaFolderId');
+        if (endpointFolderId) {
+            options.targetEndpointFolderId = endpointFolderId;
+        }
+        if (schemaFolderId) {
+            options.targetSchemaFolderId = schemaFolderId;
+        }
+        return options;
+    }
+
+    /**
+     * 解析代理地址为axios的代理配置
+     * @param {string} proxy - 代理地址
+     * @returns {Object|undefined} axios代理配置，未设置时返回undefined，沿用 HTTP_PROXY/HTTPS_PROXY 环境变量
+     */
+    parseProxy(proxy) {
+        if (!proxy) {
+            return undefined;
+        }
+
+        let url;
+        try {
+            url = new URL(proxy);
+        } catch (error) {
+            throw new Error(`APIFOX_PROXY 不是有效的代理地址: ${proxy}`);
+        }
+
+        const result = {
+            protocol: url.protocol.replace(/:$/, ''),
+            host: url.hostname,
+            port: parseInt(url.port) || (url.protocol === 'https:' ? 443 : 80)
+        };
+        if (url.username) {
+            result.auth = {
+                username: decodeURIComponent(url.username),
+                password: decodeURIComponent(url.password)
+            };
+        }
+        return result;
+    }
+
+    /**
+     * 发送请求到Apifox开放API
+     * @param {string} method - 请求方法
+     * @param {string} apiPath - 相对 baseURL 的路径
+     * @param {string} apiKey - Apifox API密钥
+     * @param {Object} [data] - 请求体
+     * @returns {Object} axios响应
+     */
+    async request(method, apiPath, apiKey, data) {
+        try {
+            return await this.send(method, apiPath, apiKey, data);
+        } catch (error) {
+            // 错误信息带上Apifox返回的原因，原始响应保留在 error.response 中
+            const reason = error.response && error.response.data && error.response.data.errorMessage;
+            if (reason) {
+                error.message = `${error.message}: ${reason}`;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 发送HTTP请求
+     * @param {string} method - 请求方法
+     * @param {string} apiPath - 相对 baseURL 的路径
+     * @param {string} apiKey - Apifox API密钥
+     * @param {Object} [data] - 请求体
+     * @returns {Object} axios响应
+     */
+    async send(method, apiPath, apiKey, data) {
+        return axios({
+            method,
+            url: `${this.baseURL}${apiPath}`,
+            params: {locale: this.locale},
+            data,
+            timeout: this.timeout,
+            proxy: this.proxy,
+            headers: {
+                'X-Apifox-Api-Version': this.apiVersion,
+                'Authorization': 'Bearer ' + apiKey,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    /**
+     * 判断请求失败后是否可以重试，只有限流(429)和服务端错误(5xx)可以重试
+     * @param {Error} error - 请求错误
+     * @returns {boolean} 是否可以重试
+     */
+    isRetryable(error) {
+        const status = error.response && error.response.status;
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * 计算第 attempt 次失败后的等待时间，优先使用响应的 Retry-After
+     * @param {number} attempt - 已尝试次数
+     * @param {Error} error - 请求错误
+     * @returns {number} 等待时间(毫秒)
+     */
+    getBackoffDelay(attempt, error) {
+        const retryAfter = parseInt(error.response && error.response.headers && error.response.headers['retry-after']);
+        const delay = Number.isNaN(retryAfter) ? this.retryDelay * 2 ** (attempt - 1) : retryAfter * 1000;
+        return Math.min(delay, MAX_BACKOFF_DELAY);
+    }
+
+    /**
+     * 执行请求，可重试的错误按指数退避重试，最终失败的错误带上尝试次数 error.attempts
+     * @param {Function} action - 发送请求的函数
+     * @returns {Object} axios响应
+     */
+    async withBackoff(action) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await action();
+            } catch (error) {
+                error.attempts = attempt;
+                if (attempt >= this.retries || !this.isRetryable(error)) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, this.getBackoffDelay(attempt, error)));
+            }
+        }
+    }
+
+    /**
+     * 导出项目的OpenAPI文档，失败时重试
+     * @param {string} [projectId] - Apifox项目ID，默认使用配置
+     * @param {string} [apiKey] - Apifox API密钥，默认使用配置
+     * @param {Object} requestData - 导出参数 {scope, options, oasVersion, exportFormat}
+     * @returns {Object} OpenAPI文档
+     */
+    async exportOpenAPI(projectId, apiKey, requestData) {
+        ({projectId, apiKey} = this.resolveCredentials(projectId, apiKey));
+
+        let lastError;
+        for (let attempt = 1; attempt <= this.retries; attempt++) {
+            try {
+                const response = await this.request('post', `/projects/${encodeURIComponent(projectId)}/export-openapi`, apiKey, requestData);
+
+                if (response.status !== 200) {
+                    throw new Error(`API请求失败: ${response.statusText}`);
+                }
+
+                return response.data;
+
+            } catch (error) {
+                lastError = error;
+
+                if (attempt < this.retries) {
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+                }
+            }
+        }
+
+        throw new Error(`下载API数据失败，已重试${this.retries}次: ${lastError.message}`);
+    }
+
+    /**
+     * 导入OpenAPI文档到项目，限流和服务端错误时按指数退避重试
+     * @param {string} [projectId] - Apifox项目ID，默认使用配置
+     * @param {string} [apiKey] - Apifox API密钥，默认使用配置
+     * @param {string} input - OpenAPI文档JSON字符串
+     * @param {Object} [options] - 导入选项，见 buildImportOptions
+     * @returns {Object} 导入结果，data.counters 为新增、更新、失败的接口和数据模型数量
+     * @throws {Error} 返回 errors 时抛出，error.counters 保留本次已处理的计数，error.errors 为全部错误
+     */
+    async importOpenAPI(projectId, apiKey, input, options = {}) {
+        ({projectId, apiKey} = this.resolveCredentials(projectId, apiKey));
+        const requestData = {input, options: this.buildImportOptions(options)};
+
+        const response = await this.withBackoff(() =>
+            this.request('post', `/projects/${encodeURIComponent(projectId)}/import-openapi`, apiKey, requestData));
+
+        if (response?.data?.data?.errors?.length) {
+            // 部分内容导入失败时其余内容已生效，计数随错误一起返回
+            const {errors, counters} = response.data.data;
+            throw Object.assign(new Error(errors[0].message), {counters: counters || {}, errors});
+        } else if (response?.data?.errors?.length) {
+            throw new Error(response?.data?.errors[0].message);
+        } else if (response.status === 200) {
+            return response.data;
+        } else {
+            throw new Error(`导入失败: ${response.statusText}`);
+        }
+    }
+}
+
+module.exports = ApifoxClient;
@@ -0,0 +1,122 @@
+/**
+ * SQL审计日志
+ * 以JSONL格式追加记录执行过的SQL，支持检索历史记录
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 单次检索返回的最大记录数
+const MAX_SEARCH_LIMIT = 200;
+
+class AuditLog {
+    /**
+     * @param {Object} [options] - 审计配置，默认读取 config.audit
+     * @param {string} [options.logFile] - 日志文件路径
+     */
+    constructor(options = config.audit) {
+        this.logFile = path.resolve(options.logFile);
+    }
+
+    /**
+     * 追加一条审计记录
+     * @param {Object} entry - 记录内容
+     * @param {string} entry.tool - 工具名称
+     * @param {string|null} entry.connection - 命名连接名称
+     * @param {string|null} entry.target - 连接目标（连接名称或不含密码的DSN）
+     * @param {string} [entry.sql] - SQL语句
+     * @param {Array|Object} [entry.params] - SQL参数
+     * @param {Array} [entry.statements] - 批量执行的语句
+     * @param {string} entry.status - 执行结果：success、fail 或 confirmation_required
+     * @param {number|null} [entry.affectedRows] - 影响行数
+     * @param {number|null} [entry.rowCount] - 返回行数
+     * @param {number} entry.duration - 耗时(毫秒)
+     * @param {string} [entry.error] - 错误信息
+     * @returns {Object} 写入的记录
+     */
+    record(entry) {
+        const record = {
+            id: crypto.randomBytes(8).toString('hex'),
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        fs.mkdirSync(path.dirname(this.logFile), {recursive: true});
+        fs.appendFileSync(this.logFile, JSON.stringify(record) + '\n', 'utf8');
+
+        return record;
+    }
+
+    /**
+     * 读取全部审计记录，跳过无法解析的行
+     * @returns {Array} 记录列表，按写入顺序排列
+     */
+    readAll() {
+        if (!fs.existsSync(this.logFile)) {
+            return [];
+        }
+
+        const records = [];
+        for (const line of fs.readFileSync(this.logFile, 'utf8').split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // 写入中断产生的残缺行直接跳过
+            }
+        }
+        return records;
+    }
+
+    /**
+     * 按ID查找记录
+     * @param {string} id - 记录ID
+     * @returns {Object|null} 记录
+     */
+    get(id) {
+        return this.readAll().find(record => record.id === id) || null;
+    }
+
+    /**
+     * 检索最近的记录
+     * @param {Object} [filters] - 过滤条件
+     * @param {number} [filters.limit=20] - 返回条数
+     * @param {string} [filters.contains] - SQL包含的文本（不区分大小写）
+     * @param {string} [filters.status] - 执行结果
+     * @param {string} [filters.tool] - 工具名称
+     * @param {string} [filters.target] - 连接目标
+     * @param {string} [filters.since] - 起始时间（ISO格式）
+     * @returns {Array} 记录列表，最新的在前
+     */
+    search(filters = {}) {
+        const {contains, status, tool, target, since} = filters;
+        const limit = Math.min(parseInt(filters.limit) || 20, MAX_SEARCH_LIMIT);
+        const keyword = contains ? String(contains).toLowerCase() : null;
+        const sinceTime = since ? new Date(since).getTime() : null;
+        if (since && isNaN(sinceTime)) {
+            throw new Error(`无效的起始时间: ${since}`);
+        }
+
+        const matched = [];
+        const records = this.readAll();
+        for (let i = records.length - 1; i >= 0 && matched.length < limit; i--) {
+            const record = records[i];
+            if (status && record.status !== status) continue;
+            if (tool && record.tool !== tool) continue;
+            if (target && record.target !== target) continue;
+            if (sinceTime !== null && new Date(record.timestamp).getTime() < sinceTime) continue;
+            if (keyword) {
+                const text = record.sql || (record.statements || []).map(item => item.sql).join('\n');
+                if (!String(text).toLowerCase().includes(keyword)) continue;
+            }
+            matched.push(record);
+        }
+        return matched;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,107 @@
+/**
+ * 目录批量导入
+ * 按并发数逐个导入接口文档，汇总Apifox返回的接口和数据模型计数，失败的文件记录下来以便续传
+ */
+
+const config = require('./config');
+
+// 单次导入允许的最大并发数，过大容易触发Apifox限流
+const MAX_CONCURRENCY = 10;
+const DEFAULT_CONCURRENCY = 3;
+
+class BatchImporter {
+    /**
+     * @param {Object} [options] - 选项，默认使用 config.apifox
+     * @param {number} [options.importConcurrency=3] - 默认并发数，APIFOX_IMPORT_CONCURRENCY 已在加载配置时校验
+     */
+    constructor(options = config.apifox) {
+        this.concurrency = options.importConcurrency === undefined ? DEFAULT_CONCURRENCY : options.importConcurrency;
+    }
+
+    /**
+     * 校验工具调用传入的并发数
+     * @param {number} [value] - 并发数，未传入时使用默认值
+     * @returns {number} 并发数
+     */
+    normalizeConcurrency(value) {
+        if (value === undefined || value === null) {
+            return this.concurrency;
+        }
+        if (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > MAX_CONCURRENCY) {
+            throw new Error(`concurrency 必须是 1 到 ${MAX_CONCURRENCY} 之间的整数: ${value}`);
+        }
+        return Number(value);
+    }
+
+    /**
+     * 按并发数导入文件，单个文件失败不影响其他文件
+     * @param {Array} files - 文件列表 [{file, path}]，file 为相对目录的路径
+     * @param {Function} importFile - 导入单个文件的函数，参数为文件项，返回Apifox的导入结果
+     * @param {number} [concurrency] - 并发数
+     * @returns {Array} 按输入顺序排列的结果 [{file, path, success, counters} | {file, path, success, error, status, attempts, counters?}]，
+     *   Apifox返回错误时失败结果带上已生效部分的 counters
+     */
+    async run(files, importFile, concurrency) {
+        const limit = this.normalizeConcurrency(concurrency);
+        const results = new Array(files.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < files.length) {
+                const index = next++;
+                const item = files[index];
+                try {
+                    const result = await importFile(item);
+                    results[index] = {
+                        file: item.file,
+                        path: item.path,
+                        success: true,
+                        counters: (result && result.data && result.data.counters) || {}
+                    };
+                } catch (error) {
+                    results[index] = {
+                        file: item.file,
+                        path: item.path,
+                        success: false,
+                        error: error.message,
+                        status: (error.response && error.response.status) || null,
+                        attempts: error.attempts || 1
+                    };
+                    if (error.counters) {
+                        // Apifox返回错误时部分内容已经生效
+                        results[index].counters = error.counters;
+                    }
+                }
+            }
+        };
+
+        await Promise.all(Array.from({length: Math.min(limit, files.length)}, worker));
+        return results;
+    }
+
+    /**
+     * 汇总导入结果
+     * @param {Array} results - run 的返回值
+     * @returns {Object} {files, succeeded, failed, counters}，counters 为各文件Apifox计数之和，包括部分导入失败的文件
+     */
+    summarize(results) {
+        const counters = {};
+        for (const result of results.filter(item => item.counters)) {
+            for (const [key, value] of Object.entries(result.counters)) {
+                if (typeof value === 'number') {
+                    counters[key] = (counters[key] || 0) + value;
+                }
+            }
+        }
+
+        const failed = results.filter(item => !item.success).length;
+        return {
+            files: results.length,
+            succeeded: results.length - failed,
+            failed,
+            counters
+        };
+    }
+}
+
+module.exports = BatchImporter;
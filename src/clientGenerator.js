@@ -0,0 +1,770 @@
+/**
+ * TypeScript 客户端生成
+ * 根据OpenAPI文档生成 components.schemas 的类型定义，以及按标签分组、每个接口一个函数的请求客户端（fetch 或 axios）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 参与生成的HTTP方法
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// 支持的请求库
+const HTTP_CLIENTS = ['fetch', 'axios'];
+
+// 生成文件的首行，重新生成时据此识别并清理不再需要的文件
+const GENERATED_HEADER = '// 此文件由 generate_client 生成，请勿手动修改';
+
+// 固定生成的文件，标签模块不能与其重名
+const FIXED_MODULES = ['index', 'types', 'http'];
+
+// http.ts 导出的名称，index.ts 同时导出 types、http 和各标签模块，数据模型类型和标签模块都不能与其重名
+const RUNTIME_EXPORTS = ['ApiError', 'ClientConfig', 'RequestOptions', 'RequestParams', 'request', 'configure', 'http'];
+
+// 标签模块从 http.ts 导入的名称，接口函数不能与其重名
+const MODULE_IMPORTS = ['request', 'RequestOptions'];
+
+// 不能作为标识符的关键字
+const RESERVED_WORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else',
+    'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import', 'in',
+    'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public', 'return',
+    'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+// fetch 版本的请求实现
+const FETCH_RUNTIME = `export interface ClientConfig {
+    /** 接口地址前缀，如 https://api.example.com */
+    baseURL: string;
+    /** 每个请求都携带的请求头 */
+    headers?: Record<string, string>;
+    /** 自定义 fetch 实现 */
+    fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+    headers?: Record<string, string>;
+    signal?: AbortSignal;
+}
+
+export interface RequestParams {
+    method: string;
+    path: string;
+    pathParams?: Record<string, unknown>;
+    query?: Record<string, unknown>;
+    headers?: Record<string, unknown>;
+    body?: unknown;
+}
+
+export class ApiError extends Error {
+    status: number;
+    data: unknown;
+
+    constructor(status: number, data: unknown) {
+        super(\`Request failed with status \${status}\`);
+        this.status = status;
+        this.data = data;
+    }
+}
+
+const config: ClientConfig = {baseURL: ''};
+
+/** 设置接口地址、公共请求头等配置 */
+export function configure(options: Partial<ClientConfig>): void {
+    Object.assign(config, options);
+}
+
+export async function request<T>(params: RequestParams, options: RequestOptions = {}): Promise<T> {
+    const path = params.path.replace(/\\{([^}]+)\\}/g, (_, name: string) => encodeURIComponent(String(params.pathParams?.[name])));
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params.query || {})) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+            if (item !== undefined && item !== null) {
+                search.append(key, String(item));
+            }
+        }
+    }
+    const query = search.toString();
+
+    const headers: Record<string, string> = {...config.headers};
+    for (const [key, value] of Object.entries(params.headers || {})) {
+        if (value !== undefined && value !== null) {
+            headers[key] = String(value);
+        }
+    }
+    Object.assign(headers, options.headers);
+
+    let body: BodyInit | undefined;
+    if (params.body instanceof FormData || params.body instanceof URLSearchParams || params.body instanceof Blob) {
+        body = params.body;
+    } else if (params.body !== undefined) {
+        body = JSON.stringify(params.body);
+        headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    }
+
+    const response = await (config.fetch || fetch)(\`\${config.baseURL.replace(/\\/+$/, '')}\${path}\${query ? \`?\${query}\` : ''}\`, {
+        method: params.method,
+        headers,
+        body,
+        signal: options.signal
+    });
+    const text = await response.text();
+    const data = text && (response.headers.get('Content-Type') || '').includes('json') ? JSON.parse(text) : text || undefined;
+    if (!response.ok) {
+        throw new ApiError(response.status, data);
+    }
+    return data as T;
+}
+`;
+
+// axios 版本的请求实现
+const AXIOS_RUNTIME = `import axios, {type AxiosInstance, type AxiosRequestConfig} from 'axios';
+
+export type RequestOptions = AxiosRequestConfig;
+
+export interface RequestParams {
+    method: string;
+    path: string;
+    pathParams?: Record<string, unknown>;
+    query?: Record<string, unknown>;
+    headers?: Record<string, unknown>;
+    body?: unknown;
+}
+
+/** 所有请求共用的 axios 实例，可设置 baseURL、拦截器等 */
+export const http: AxiosInstance = axios.create();
+
+/** 设置接口地址、公共请求头等配置 */
+export function configure(options: AxiosRequestConfig): void {
+    Object.assign(http.defaults, options);
+}
+
+export async function request<T>(params: RequestParams, options: RequestOptions = {}): Promise<T> {
+    const url = params.path.replace(/\\{([^}]+)\\}/g, (_, name: string) => encodeURIComponent(String(params.pathParams?.[name])));
+    const headers: Record<string, string> = {};
+    for (const [key, value] of Object.entries(params.headers || {})) {
+        if (value !== undefined && value !== null) {
+            headers[key] = String(value);
+        }
+    }
+
+    const response = await http.request<T>({
+        ...options,
+        method: params.method,
+        url,
+        params: params.query,
+        data: params.body,
+        headers: {...headers, ...options.headers}
+    });
+    return response.data;
+}
+`;
+
+class ClientGenerator {
+    /**
+     * 获取支持的请求库
+     * @returns {Array} 请求库列表
+     */
+    getHttpClients() {
+        return HTTP_CLIENTS;
+    }
+
+    /**
+     * 生成客户端文件
+     * @param {Object} document - OpenAPI文档
+     * @param {Object} [options] - 选项
+     * @param {string} [options.httpClient='fetch'] - fetch 或 axios
+     * @returns {Object} {files: {文件名: 内容}, summary, warnings}
+     */
+    generate(document, options = {}) {
+        const httpClient = options.httpClient || 'fetch';
+        if (!HTTP_CLIENTS.includes(httpClient)) {
+            throw new Error(`不支持的请求库: ${httpClient}，可选: ${HTTP_CLIENTS.join(', ')}`);
+        }
+
+        const schemas = (document.components && document.components.schemas) || {};
+        const context = {
+            document,
+            typeNames: this.assignNames(Object.keys(schemas).sort(), name => this.toTypeName(name, 'Schema'), RUNTIME_EXPORTS),
+            usedTypes: new Set(),
+            warnings: []
+        };
+
+        const files = {
+            'types.ts': this.generateTypes(schemas, context),
+            'http.ts': `${GENERATED_HEADER}\n\n${httpClient === 'axios' ? AXIOS_RUNTIME : FETCH_RUNTIME}`
+        };
+
+        const groups = this.groupOperations(document, context);
+        const moduleNames = this.assignNames([...groups.keys()], tag => this.toIdentifier(tag, 'default'), [...FIXED_MODULES, ...RUNTIME_EXPORTS]);
+        const exports = [];
+        for (const [tag, operations] of groups) {
+            const moduleName = moduleNames.get(tag);
+            files[`${moduleName}.ts`] = this.generateModule(tag, operations, context);
+            exports.push(`export * as ${moduleName} from './${moduleName}';`);
+        }
+
+        files['index.ts'] = [
+            GENERATED_HEADER,
+            '',
+            `export * from './types';`,
+            `export * from './http';`,
+            ...exports,
+            ''
+        ].join('\n');
+
+        return {
+            files,
+            summary: {
+                schemas: context.typeNames.size,
+                operations: [...groups.values()].reduce((count, operations) => count + operations.length, 0),
+                tags: groups.size
+            },
+            warnings: context.warnings
+        };
+    }
+
+    /**
+     * 写入生成的文件，内容不变的文件不重写，之前生成但本次不再需要的文件删除
+     * 目标文件中有不是生成的文件时不删除、不写入任何文件
+     * @param {Object} files - generate 返回的 files
+     * @param {string} outputDir - 输出目录
+     * @returns {Object} {written, unchanged, removed} 文件路径列表
+     */
+    writeFiles(files, outputDir) {
+        const result = {written: [], unchanged: [], removed: []};
+        fs.mkdirSync(outputDir, {recursive: true});
+
+        for (const name of Object.keys(files)) {
+            const file = path.join(outputDir, name);
+            if (fs.existsSync(file) && !fs.readFileSync(file, 'utf8').startsWith(GENERATED_HEADER)) {
+                throw new Error(`${file} 不是 generate_client 生成的文件，请更换输出目录或先移走该文件`);
+            }
+        }
+
+        for (const item of fs.readdirSync(outputDir).sort()) {
+            const file = path.join(outputDir, item);
+            if (files[item] === undefined && item.endsWith('.ts') && fs.statSync(file).isFile()
+                && fs.readFileSync(file, 'utf8').startsWith(GENERATED_HEADER)) {
+                fs.unlinkSync(file);
+                result.removed.push(file);
+            }
+        }
+
+        for (const [name, content] of Object.entries(files)) {
+            const file = path.join(outputDir, name);
+            if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) {
+                result.unchanged.push(file);
+                continue;
+            }
+            fs.writeFileSync(file, content, 'utf8');
+            result.written.push(file);
+        }
+        return result;
+    }
+
+    /**
+     * 按第一个标签对接口分组，标签和接口都按固定顺序排列，保证重复生成的结果一致
+     * @param {Object} document - OpenAPI文档
+     * @param {Object} context - 生成上下文
+     * @returns {Map} 标签 => 接口列表 [{method, pathKey, operation, pathItem}]
+     */
+    groupOperations(document, context) {
+        const groups = new Map();
+        for (const pathKey of Object.keys(document.paths || {}).sort()) {
+            const pathItem = this.resolve(document.paths[pathKey], context) || {};
+            for (const method of HTTP_METHODS.filter(item => pathItem[item])) {
+                const operation = pathItem[method];
+                const tag = (operation.tags && operation.tags[0]) || 'default';
+                if (!groups.has(tag)) {
+                    groups.set(tag, []);
+                }
+                groups.get(tag).push({method, pathKey, operation, pathItem});
+            }
+        }
+        return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * 生成 types.ts
+     * @param {Object} schemas - components.schemas
+     * @param {Object} context - 生成上下文
+     * @returns {string} 文件内容
+     */
+    generateTypes(schemas, context) {
+        const blocks = [];
+        for (const [name, typeName] of context.typeNames) {
+            const schema = schemas[name];
+            const comment = this.comment(schema && (schema.title || schema.description), '');
+            if (this.isPlainObject(schema)) {
+                blocks.push(`${comment}export interface ${typeName} ${this.schemaToType(schema, context, 0)}`);
+            } else {
+                blocks.push(`${comment}export type ${typeName} = ${this.schemaToType(schema, context, 0)};`);
+            }
+        }
+        return `${GENERATED_HEADER}\n\n${blocks.length ? blocks.join('\n\n') : 'export {};'}\n`;
+    }
+
+    /**
+     * 生成一个标签的接口模块
+     * @param {string} tag - 标签
+     * @param {Array} operations - 接口列表
+     * @param {Object} context - 生成上下文
+     * @returns {string} 文件内容
+     */
+    generateModule(tag, operations, context) {
+        const moduleContext = {...context, usedTypes: new Set()};
+        const functionNames = this.assignNames(operations, item => this.operationName(item), MODULE_IMPORTS);
+        const functions = operations.map(item => this.generateOperation(item, functionNames.get(item), moduleContext));
+
+        const lines = [GENERATED_HEADER, `// 标签: ${tag.replace(/\s+/g, ' ')}`, '', `import {request, type RequestOptions} from './http';`];
+        if (moduleContext.usedTypes.size) {
+            lines.push(`import type {${[...moduleContext.usedTypes].sort().join(', ')}} from './types';`);
+        }
+        return `${lines.join('\n')}\n\n${functions.join('\n\n')}\n`;
+    }
+
+    /**
+     * 生成单个接口的请求函数
+     * @param {Object} item - 接口 {method, pathKey, operation, pathItem}
+     * @param {string} functionName - 函数名
+     * @param {Object} context - 生成上下文
+     * @returns {string} 函数代码
+     */
+    generateOperation({method, pathKey, operation, pathItem}, functionName, context) {
+        const key = `${method.toUpperCase()} ${pathKey}`;
+        const parameters = this.collectParameters(pathItem, operation, key, context);
+        const body = this.requestBodyType(operation, context);
+        const response = this.responseType(operation, context);
+
+        const args = [];
+        if (parameters.length) {
+            const fields = parameters.map(parameter =>
+                `${this.comment(parameter.description, '    ')}    ${this.propertyKey(parameter.name)}${parameter.required ? '' : '?'}: ${this.schemaToType(parameter.schema, context, 1)};`);
+            const optional = parameters.every(parameter => !parameter.required);
+            args.push(`params: {\n${fields.join('\n')}\n}${optional ? ' = {}' : ''}`);
+        }
+        if (body) {
+            args.push(`body${body.required ? '' : '?'}: ${body.type}`);
+        }
+        args.push('options?: RequestOptions');
+
+        const request = [`        method: '${method.toUpperCase()}'`, `        path: ${this.literal(pathKey)}`];
+        for (const [location, field] of [['path', 'pathParams'], ['query', 'query'], ['header', 'headers']]) {
+            const values = parameters.filter(parameter => parameter.in === location)
+                .map(parameter => `${this.propertyKey(parameter.name)}: params${this.propertyAccess(parameter.name)}`);
+            if (values.length) {
+                request.push(`        ${field}: {${values.join(', ')}}`);
+            }
+        }
+        if (body) {
+            request.push('        body');
+        }
+
+        const summary = [operation.summary, operation.description].filter(Boolean).join('\n');
+        const docLines = [...(summary ? summary.split(/\r?\n/) : []), key];
+        if (operation.deprecated) {
+            docLines.push('@deprecated');
+        }
+        return [
+            `/**\n${docLines.map(line => ` * ${line.replace(/\*\//g, '*\\/')}`.trimEnd()).join('\n')}\n */`,
+            `export function ${functionName}(${args.join(', ')}): Promise<${response}> {`,
+            // 返回类型由函数签名推断，避免多行类型重复生成
+            `    return request({\n${request.join(',\n')}\n    }, options);`,
+            '}'
+        ].join('\n');
+    }
+
+    /**
+     * 合并路径和接口上的参数，接口上的同名参数优先；路径中未声明的参数按必填字符串补充
+     * cookie 参数由浏览器携带，不生成
+     * @param {Object} pathItem - 路径对象
+     * @param {Object} operation - 接口
+     * @param {string} key - 接口键，用于提示
+     * @param {Object} context - 生成上下文
+     * @returns {Array} 参数列表 [{name, in, required, schema, description}]
+     */
+    collectParameters(pathItem, operation, key, context) {
+        const parameters = new Map();
+        for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+            const resolved = this.resolve(parameter, context);
+            if (!resolved || !resolved.name || !['path', 'query', 'header'].includes(resolved.in)) {
+                if (resolved && resolved.in === 'cookie') {
+                    context.warnings.push({operation: key, message: `cookie 参数 ${resolved.name} 未生成`});
+                }
+                continue;
+            }
+            parameters.set(`${resolved.in}:${resolved.name}`, {
+                name: resolved.name,
+                in: resolved.in,
+                required: resolved.in === 'path' || resolved.required === true,
+                schema: resolved.schema || {type: 'string'},
+                description: resolved.description
+            });
+        }
+
+        for (const [, name] of key.matchAll(/\{([^}]+)\}/g)) {
+            if (!parameters.has(`path:${name}`)) {
+                context.warnings.push({operation: key, message: `路径参数 ${name} 未声明，按字符串生成`});
+                parameters.set(`path:${name}`, {name, in: 'path', required: true, schema: {type: 'string'}});
+            }
+        }
+
+        // 同名的路径、查询、请求头参数只保留一个，放在同一个 params 对象中
+        const byName = new Map();
+        for (const parameter of parameters.values()) {
+            if (byName.has(parameter.name)) {
+                context.warnings.push({operation: key, message: `参数 ${parameter.name} 同时出现在 ${byName.get(parameter.name).in} 和 ${parameter.in} 中，只生成 ${byName.get(parameter.name).in}`});
+                continue;
+            }
+            byName.set(parameter.name, parameter);
+        }
+        return [...byName.values()].sort((a, b) => Number(b.required) - Number(a.required));
+    }
+
+    /**
+     * 获取请求体类型
+     * @param {Object} operation - 接口
+     * @param {Object} context - 生成上下文
+     * @returns {Object|null} {type, required}，没有请求体时返回null
+     */
+    requestBodyType(operation, context) {
+        const requestBody = this.resolve(operation.requestBody, context);
+        if (!requestBody || !requestBody.content) {
+            return null;
+        }
+        return {type: this.contentType(requestBody.content, context), required: requestBody.required === true};
+    }
+
+    /**
+     * 获取成功响应的类型，依次取 200-299、2XX、default
+     * @param {Object} operation - 接口
+     * @param {Object} context - 生成上下文
+     * @returns {string} 响应类型
+     */
+    responseType(operation, context) {
+        const responses = operation.responses || {};
+        const status = Object.keys(responses).filter(code => /^2\d\d$/.test(code)).sort()[0]
+            || ['2XX', '2xx', 'default'].find(code => responses[code]);
+        if (!status) {
+            return 'unknown';
+        }
+
+        const response = this.resolve(responses[status], context);
+        if (!response || !response.content || !Object.keys(response.content).length) {
+            return 'void';
+        }
+        return this.contentType(response.content, context);
+    }
+
+    /**
+     * 根据媒体类型获取请求体或响应的类型，优先使用JSON
+     * @param {Object} content - content 对象
+     * @param {Object} context - 生成上下文
+     * @returns {string} 类型
+     */
+    contentType(content, context) {
+        const mediaTypes = Object.keys(content);
+        const json = mediaTypes.find(type => type.includes('json'));
+        if (json) {
+            return this.schemaToType(content[json].schema, context, 0);
+        }
+        if (mediaTypes.includes('multipart/form-data')) {
+            return 'FormData';
+        }
+        if (mediaTypes.includes('application/x-www-form-urlencoded')) {
+            return 'URLSearchParams';
+        }
+        if (mediaTypes.some(type => type.startsWith('text/'))) {
+            return 'string';
+        }
+        return 'Blob';
+    }
+
+    /**
+     * 将JSON Schema转换为TypeScript类型
+     * @param {Object} schema - JSON Schema
+     * @param {Object} context - 生成上下文
+     * @param {number} depth - 缩进层级
+     * @returns {string} 类型
+     */
+    schemaToType(schema, context, depth) {
+        if (!schema || typeof schema !== 'object') {
+            return schema === false ? 'never' : 'unknown';
+        }
+
+        if (schema.$ref) {
+            return this.refType(schema.$ref, context, depth);
+        }
+
+        let type;
+        if (schema.const !== undefined) {
+            type = this.literal(schema.const);
+        } else if (Array.isArray(schema.enum) && schema.enum.length) {
+            type = schema.enum.map(value => this.literal(value)).join(' | ');
+        } else if (schema.oneOf || schema.anyOf) {
+            type = this.unique((schema.oneOf || schema.anyOf).map(item => this.schemaToType(item, context, depth))).join(' | ');
+        } else if (schema.allOf) {
+            type = schema.allOf.map(item => this.wrap(this.schemaToType(item, context, depth))).join(' & ');
+        } else {
+            let types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+            if (!types.length) {
+                types = schema.properties || schema.additionalProperties ? ['object'] : schema.items ? ['array'] : [];
+            }
+            type = types.length ? this.unique(types.map(item => this.primitiveType(item, schema, context, depth))).join(' | ') : 'unknown';
+        }
+
+        if (schema.nullable === true && !type.split(' | ').includes('null')) {
+            type = `${this.wrap(type)} | null`;
+        }
+        return type;
+    }
+
+    /**
+     * 转换单个 type 对应的类型
+     * @param {string} type - JSON Schema 类型
+     * @param {Object} schema - JSON Schema
+     * @param {Object} context - 生成上下文
+     * @param {number} depth - 缩进层级
+     * @returns {string} 类型
+     */
+    primitiveType(type, schema, context, depth) {
+        switch (type) {
+            case 'string':
+                return schema.format === 'binary' ? 'Blob' : 'string';
+            case 'integer':
+            case 'number':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'null':
+                return 'null';
+            case 'array':
+                return `Array<${this.schemaToType(schema.items, context, depth)}>`;
+            case 'object':
+                return this.objectType(schema, context, depth);
+            default:
+                return 'unknown';
+        }
+    }
+
+    /**
+     * 转换对象类型
+     * @param {Object} schema - JSON Schema
+     * @param {Object} context - 生成上下文
+     * @param {number} depth - 缩进层级
+     * @returns {string} 类型
+     */
+    objectType(schema, context, depth) {
+        const indent = '    '.repeat(depth + 1);
+        const required = new Set(schema.required || []);
+        const properties = Object.entries(schema.properties || {});
+        const lines = properties.map(([name, property]) => {
+            const description = property && (property.description || property.title);
+            return `${this.comment(description, indent)}${indent}${this.propertyKey(name)}${required.has(name) ? '' : '?'}: ${this.schemaToType(property, context, depth + 1)};`;
+        });
+
+        const additional = schema.additionalProperties;
+        if (additional && additional !== false) {
+            // 存在固定属性时索引签名必须兼容所有属性，只能用 unknown
+            const valueType = properties.length || additional === true ? 'unknown' : this.schemaToType(additional, context, depth + 1);
+            lines.push(`${indent}[key: string]: ${valueType};`);
+        }
+
+        if (!lines.length) {
+            return 'Record<string, unknown>';
+        }
+        return `{\n${lines.join('\n')}\n${'    '.repeat(depth)}}`;
+    }
+
+    /**
+     * 转换 $ref，数据模型引用转换为类型名，其他文档内引用展开
+     * @param {string} ref - 引用
+     * @param {Object} context - 生成上下文
+     * @param {number} depth - 缩进层级
+     * @returns {string} 类型
+     */
+    refType(ref, context, depth) {
+        const match = ref.match(/^#\/components\/schemas\/([^/]+)$/);
+        if (match) {
+            const typeName = context.typeNames.get(match[1].replace(/~1/g, '/').replace(/~0/g, '~'));
+            if (typeName) {
+                context.usedTypes.add(typeName);
+                return typeName;
+            }
+        }
+
+        const resolved = this.resolve({$ref: ref}, context);
+        if (!resolved) {
+            context.warnings.push({ref, message: `无法解析引用 ${ref}，按 unknown 生成`});
+            return 'unknown';
+        }
+        return this.schemaToType(resolved, context, depth);
+    }
+
+    /**
+     * 解析文档内的 $ref，连续引用最多展开10层
+     * @param {*} node - 节点
+     * @param {Object} context - 生成上下文
+     * @returns {*} 解析后的节点，无法解析时返回null
+     */
+    resolve(node, context) {
+        let current = node;
+        for (let depth = 0; current && typeof current.$ref === 'string'; depth++) {
+            if (depth >= 10 || !current.$ref.startsWith('#/')) {
+                return null;
+            }
+            current = current.$ref.substring(2).split('/').reduce((value, segment) =>
+                value === undefined || value === null ? undefined : value[segment.replace(/~1/g, '/').replace(/~0/g, '~')], context.document);
+        }
+        return current === undefined ? null : current;
+    }
+
+    /**
+     * 判断数据模型能否生成为 interface
+     * @param {Object} schema - JSON Schema
+     * @returns {boolean} 是否为普通对象
+     */
+    isPlainObject(schema) {
+        return Boolean(schema) && !schema.$ref && !schema.allOf && !schema.oneOf && !schema.anyOf && !schema.enum
+            && schema.const === undefined && schema.nullable !== true && schema.type === 'object'
+            && Object.keys(schema.properties || {}).length > 0;
+    }
+
+    /**
+     * 接口函数的名称，依次使用 operationId、summary、方法和路径
+     * @param {Object} item - 接口 {method, pathKey, operation}
+     * @returns {string} 函数名
+     */
+    operationName({method, pathKey, operation}) {
+        const fallback = this.toIdentifier(`${method} ${pathKey.replace(/[{}]/g, ' ')}`, method);
+        return this.toIdentifier(operation.operationId, null) || this.toIdentifier(operation.summary, null) || fallback;
+    }
+
+    /**
+     * 为一组对象分配不重复的名称，重名时追加序号
+     * @param {Array} items - 对象列表
+     * @param {Function} nameOf - 获取名称的函数
+     * @param {Array} reserved - 不能使用的名称
+     * @returns {Map} 对象 => 名称
+     */
+    assignNames(items, nameOf, reserved) {
+        const taken = new Set(reserved);
+        const names = new Map();
+        for (const item of items) {
+            const base = nameOf(item);
+            let name = base;
+            for (let index = 2; taken.has(name); index++) {
+                name = `${base}${index}`;
+            }
+            taken.add(name);
+            names.set(item, name);
+        }
+        return names;
+    }
+
+    /**
+     * 拆分为单词，保留中文等非ASCII字符
+     * @param {string} text - 文本
+     * @returns {Array} 单词列表
+     */
+    words(text) {
+        return String(text || '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[^\p{L}\p{N}_$]+/u)
+            .filter(Boolean);
+    }
+
+    /**
+     * 转换为小驼峰标识符
+     * @param {string} text - 文本
+     * @param {string|null} fallback - 无法转换时的默认值
+     * @returns {string|null} 标识符
+     */
+    toIdentifier(text, fallback) {
+        const words = this.words(text);
+        if (!words.length) {
+            return fallback;
+        }
+        const identifier = words.map((word, index) => index === 0
+            ? word.charAt(0).toLowerCase() + word.slice(1)
+            : word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        const safe = /^\p{N}/u.test(identifier) ? `_${identifier}` : identifier;
+        return RESERVED_WORDS.has(safe) ? `${safe}_` : safe;
+    }
+
+    /**
+     * 转换为大驼峰类型名
+     * @param {string} text - 文本
+     * @param {string} fallback - 无法转换时的默认值
+     * @returns {string} 类型名
+     */
+    toTypeName(text, fallback) {
+        const words = this.words(text);
+        const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('') || fallback;
+        return /^\p{N}/u.test(name) ? `_${name}` : name;
+    }
+
+    /**
+     * 对象属性名，不是合法标识符时加引号
+     * @param {string} name - 属性名
+     * @returns {string} 属性名代码
+     */
+    propertyKey(name) {
+        return /^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(name) ? name : JSON.stringify(name);
+    }
+
+    /**
+     * 属性访问代码
+     * @param {string} name - 属性名
+     * @returns {string} 如 .id 或 ["X-Token"]
+     */
+    propertyAccess(name) {
+        return /^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(name) ? `.${name}` : `[${JSON.stringify(name)}]`;
+    }
+
+    /**
+     * 字面量类型
+     * @param {*} value - 值
+     * @returns {string} 字面量代码
+     */
+    literal(value) {
+        if (typeof value === 'string') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r?\n/g, '\\n')}'`;
+        }
+        return value !== null && typeof value === 'object' ? 'unknown' : JSON.stringify(value);
+    }
+
+    /**
+     * 单行文档注释
+     * @param {string} text - 注释内容
+     * @param {string} indent - 缩进
+     * @returns {string} 注释代码，没有内容时返回空字符串
+     */
+    comment(text, indent) {
+        if (!text) {
+            return '';
+        }
+        return `${indent}/** ${String(text).replace(/\s*\r?\n\s*/g, ' ').replace(/\*\//g, '*\\/')} */\n`;
+    }
+
+    /**
+     * 联合或交叉类型放入数组、交叉类型前加括号
+     * @param {string} type - 类型
+     * @returns {string} 类型
+     */
+    wrap(type) {
+        return /[|&]/.test(type.replace(/\{[\s\S]*\}|<[^<>]*>/g, '')) ? `(${type})` : type;
+    }
+
+    /**
+     * 去掉重复的类型
+     * @param {Array} types - 类型列表
+     * @returns {Array} 去重后的类型列表
+     */
+    unique(types) {
+        return [...new Set(types)];
+    }
+}
+
+module.exports = ClientGenerator;
@@ -0,0 +1,341 @@
+/**
+ * 数据模型拆分与合并
+ * 下载时将 components.schemas 拆分到 components/schemas 目录，接口文件通过相对路径 $ref 引用；
+ * 导入、校验、同步前再把引用的文件合并回 components
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpenAPISerializer = require('./openapiSerializer');
+
+// 拆分后数据模型所在的目录，相对接口文档根目录
+const SCHEMAS_DIR = path.join('components', 'schemas');
+
+class ComponentBundler {
+    /**
+     * @param {Object} [options] - 选项
+     * @param {Function} [options.fileName] - 将数据模型名称转换为文件名的函数
+     */
+    constructor(options = {}) {
+        this.fileName = options.fileName || (name => name);
+        this.serializer = new OpenAPISerializer();
+    }
+
+    /**
+     * 获取数据模型目录
+     * @param {string} rootDir - 接口文档根目录
+     * @returns {string} 目录路径
+     */
+    getSchemasDir(rootDir) {
+        return path.join(rootDir, SCHEMAS_DIR);
+    }
+
+    /**
+     * 判断目录是否为拆分后的数据模型目录
+     * @param {string} rootDir - 接口文档根目录
+     * @param {string} dirPath - 待判断的目录
+     * @returns {boolean} 是否为数据模型目录
+     */
+    isSchemasDir(rootDir, dirPath) {
+        return path.resolve(dirPath) === path.resolve(this.getSchemasDir(rootDir));
+    }
+
+    /**
+     * 判断 $ref 是否为相对文件引用，http 等带协议的地址不处理
+     * @param {*} ref - 引用地址
+     * @returns {boolean} 是否为相对文件引用
+     */
+    isFileRef(ref) {
+        return typeof ref === 'string' && !ref.startsWith('#') && !/^[a-z][a-z0-9+.-]*:/i.test(ref);
+    }
+
+    /**
+     * 读取数据模型文件中保存的名称
+     * 文件内容为 {components: {schemas: {<名称>: 定义}}}，文件名转换过的名称（如 Result<User>）由此保留原样；
+     * 直接保存定义的旧文件和无法解析的文件返回null
+     * @param {string} file - 文件路径
+     * @returns {Array|null} 数据模型名称
+     */
+    readSchemaNames(file) {
+        const parsed = this.serializer.parse(fs.readFileSync(file, 'utf8'));
+        const schemas = parsed.success && parsed.document.components && parsed.document.components.schemas;
+        return schemas && typeof schemas === 'object' && !Array.isArray(schemas) ? Object.keys(schemas) : null;
+    }
+
+    /**
+     * 获取数据模型文件路径，已存在其他格式的文件时使用已有文件
+     * 不同名称转换后的文件名可能相同（如 A/B 与 A／B），文件已被其他数据模型占用时追加序号
+     * @param {string} rootDir - 接口文档根目录
+     * @param {string} name - 数据模型名称
+     * @param {string} format - json 或 yaml
+     * @param {Map} [claimed] - 尚未写入但已分配的文件，不含扩展名的路径 -> 数据模型名称
+     * @returns {string} 文件路径
+     */
+    getSchemaFile(rootDir, name, format, claimed = new Map()) {
+        const base = path.join(this.getSchemasDir(rootDir), this.fileName(name));
+        for (let index = 1; ; index++) {
+            const candidate = index === 1 ? base : `${base}_${index}`;
+            const existing = this.serializer.getExtensions().map(extension => `${candidate}${extension}`).find(file => fs.existsSync(file));
+            const owners = claimed.has(candidate) ? [claimed.get(candidate)] : (existing ? this.readSchemaNames(existing) : []);
+
+            // 旧格式的文件无法判断名称，按文件名归属
+            if (!owners || !owners.length || owners.includes(name)) {
+                claimed.set(candidate, name);
+                return existing || `${candidate}${this.serializer.getExtension(format)}`;
+            }
+        }
+    }
+
+    /**
+     * 将 #/components/schemas/ 引用改写为相对 fromDir 的文件引用
+     * 引用带上文件内的位置，如 ../components/schemas/Result＜User＞.json#/components/schemas/Result<User>
+     * @param {*} node - 待改写的节点
+     * @param {string} fromDir - 引用所在文件的目录
+     * @param {string} rootDir - 接口文档根目录
+     * @param {string} format - 新建数据模型文件的格式
+     * @param {Map} [claimed] - 尚未写入但已分配的文件，见 getSchemaFile
+     * @returns {*} 改写后的副本
+     */
+    relativize(node, fromDir, rootDir, format, claimed = new Map()) {
+        if (Array.isArray(node)) {
+            return node.map(item => this.relativize(item, fromDir, rootDir, format, claimed));
+        }
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(node)) {
+            const match = key === '$ref' && typeof value === 'string' && value.match(/^#\/components\/schemas\/([^/]+)(\/.*)?$/);
+            if (match) {
+                const name = match[1].replace(/~1/g, '/').replace(/~0/g, '~');
+                // 文件名中的 % 和 # 在引用中有特殊含义，需要转义，其余字符保持原样便于阅读
+                const target = path.relative(fromDir, this.getSchemaFile(rootDir, name, format, claimed)).split(path.sep)
+                    .map(segment => segment.replace(/%/g, '%25').replace(/#/g, '%23')).join('/');
+                result[key] = `${target.startsWith('.') ? '' : './'}${target}${value}`;
+            } else {
+                result[key] = this.relativize(value, fromDir, rootDir, format, claimed);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 将数据模型写入 components/schemas 目录，每个数据模型一个文件
+     * 先为全部数据模型分配文件，数据模型之间的引用才能指向同一批写入中重名后追加序号的文件
+     * @param {Object} schemas - components.schemas
+     * @param {string} rootDir - 接口文档根目录
+     * @param {string} format - json 或 yaml
+     * @returns {Array} 写入的文件路径
+     */
+    writeSchemas(schemas, rootDir, format) {
+        const schemasDir = this.getSchemasDir(rootDir);
+        fs.mkdirSync(schemasDir, {recursive: true});
+
+        const claimed = new Map();
+        const entries = Object.entries(schemas || {}).map(([name, schema]) => ({name, schema, file: this.getSchemaFile(rootDir, name, format, claimed)}));
+        for (const {name, schema, file} of entries) {
+            const content = {components: {schemas: {[name]: this.relativize(schema, schemasDir, rootDir, format, claimed)}}};
+            fs.writeFileSync(file, this.serializer.stringify(content, this.serializer.getFormatByFile(file)), 'utf8');
+        }
+        return entries.map(item => item.file);
+    }
+
+    /**
+     * 删除数据模型文件
+     * @param {string} rootDir - 接口文档根目录
+     * @param {string} name - 数据模型名称
+     * @returns {string|null} 删除的文件路径
+     */
+    removeSchema(rootDir, name) {
+        const file = this.getSchemaFile(rootDir, name, 'json');
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        fs.unlinkSync(file);
+        return file;
+    }
+
+    /**
+     * 读取文件中 JSON Pointer 指向的内容
+     * @param {string} file - 文件路径
+     * @param {string} fragment - 文件内的 JSON Pointer，为空时返回整个文件
+     * @param {string} ref - 原始引用，用于报错
+     * @returns {Object} {value} 或 {error}
+     */
+    readTarget(file, fragment, ref) {
+        if (!fs.existsSync(file)) {
+            return {error: `引用 ${ref} 的文件 ${file} 不存在`};
+        }
+
+        const parsed = this.serializer.parse(fs.readFileSync(file, 'utf8'));
+        if (!parsed.success) {
+            return {error: `引用 ${ref} 的文件 ${file} 无法解析: ${parsed.error}`};
+        }
+
+        const value = fragment.split('/').filter(Boolean).reduce((node, segment) =>
+            node === undefined || node === null ? undefined : node[segment.replace(/~1/g, '/').replace(/~0/g, '~')], parsed.document);
+        if (value === undefined) {
+            return {error: `无法解析引用 ${ref}`};
+        }
+        return {value};
+    }
+
+    /**
+     * 解析文件引用
+     * @param {string} ref - 引用地址，如 ../components/schemas/User.json 或 common.yaml#/components/schemas/Error
+     * @param {string} baseDir - 引用所在文件的目录
+     * @returns {Object} {file, fragment} 或 {error}
+     */
+    parseFileRef(ref, baseDir) {
+        // 数据模型名称中可能带 #，只按第一个 # 分隔
+        const index = ref.indexOf('#');
+        const filePart = index === -1 ? ref : ref.substring(0, index);
+        const fragment = index === -1 ? '' : ref.substring(index + 1);
+        try {
+            return {file: path.resolve(baseDir, decodeURIComponent(filePart)), fragment};
+        } catch (error) {
+            return {error: `引用 ${ref} 的文件路径无法解码，路径中的 % 需要写作 %25`};
+        }
+    }
+
+    /**
+     * 将文档中的文件引用合并到 components 中，并改写为文档内部引用
+     * @param {Object} document - OpenAPI文档
+     * @param {string} file - 文档所在文件
+     * @returns {Object} {document, errors}，document 为合并后的副本
+     */
+    bundle(document, file) {
+        const state = {
+            components: {},
+            reserved: (document && document.components) || {},
+            included: new Map(),
+            errors: []
+        };
+        const rootFile = path.resolve(file);
+        const result = this.walk(document, rootFile, rootFile, state);
+
+        for (const [section, items] of Object.entries(state.components)) {
+            result.components = result.components || {};
+            result.components[section] = {...result.components[section], ...items};
+        }
+        return {document: result, errors: state.errors};
+    }
+
+    /**
+     * 读取 components/schemas 目录中的全部数据模型并合并引用
+     * @param {string} rootDir - 接口文档根目录
+     * @returns {Object} {schemas, errors}
+     */
+    loadSchemas(rootDir) {
+        const schemasDir = path.resolve(this.getSchemasDir(rootDir));
+        const state = {components: {}, reserved: {}, included: new Map(), errors: []};
+        if (!fs.existsSync(schemasDir)) {
+            return {schemas: {}, errors: []};
+        }
+
+        const extensions = this.serializer.getExtensions();
+        for (const item of fs.readdirSync(schemasDir).sort()) {
+            if (!extensions.includes(path.extname(item).toLowerCase())) {
+                continue;
+            }
+
+            // 按文件中保存的名称读取，旧格式的文件按文件名作为名称
+            const file = path.join(schemasDir, item);
+            const names = this.readSchemaNames(file);
+            if (!names) {
+                this.include(file, '', file, state);
+                continue;
+            }
+            for (const name of names) {
+                this.include(file, `/components/schemas/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`, file, state);
+            }
+        }
+        return {schemas: state.components.schemas || {}, errors: state.errors};
+    }
+
+    /**
+     * 递归复制节点，文件引用合并为内部引用
+     * 引用文件内部的 # 引用指向该文件本身，同样需要合并
+     * @param {*} node - 当前节点
+     * @param {string} currentFile - 当前节点所在文件
+     * @param {string} rootFile - 正在合并的文档
+     * @param {Object} state - 合并状态
+     * @returns {*} 复制后的节点
+     */
+    walk(node, currentFile, rootFile, state) {
+        if (Array.isArray(node)) {
+            return node.map(item => this.walk(item, currentFile, rootFile, state));
+        }
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(node)) {
+            if (key === '$ref' && typeof value === 'string') {
+                let target = null;
+                if (this.isFileRef(value)) {
+                    target = this.parseFileRef(value, path.dirname(currentFile));
+                    if (target.error) {
+                        state.errors.push(target.error);
+                        target = null;
+                    }
+                } else if (value.startsWith('#/') && currentFile !== rootFile) {
+                    target = {file: currentFile, fragment: value.substring(1)};
+                }
+
+                const name = target && this.include(target.file, target.fragment, value, state);
+                result[key] = name ? `#/components/${name.section}/${name.name.replace(/~/g, '~0').replace(/\//g, '~1')}` : value;
+            } else {
+                result[key] = this.walk(value, currentFile, rootFile, state);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 合并一个被引用的对象到 components，返回其位置
+     * 指向 /components/{section}/{name} 的引用保留原分组和名称，整文件引用按文件名作为数据模型名称，重名时追加序号
+     * @param {string} file - 被引用的文件
+     * @param {string} fragment - 文件内的 JSON Pointer
+     * @param {string} ref - 原始引用，用于报错
+     * @param {Object} state - 合并状态
+     * @returns {Object|null} {section, name}，无法解析时返回null
+     */
+    include(file, fragment, ref, state) {
+        const key = `${file}#${fragment}`;
+        if (state.included.has(key)) {
+            return state.included.get(key);
+        }
+
+        const resolved = this.readTarget(file, fragment, ref);
+        if (resolved.error) {
+            state.errors.push(resolved.error);
+            return null;
+        }
+
+        const match = fragment.match(/^\/components\/([^/]+)\/([^/]+)$/);
+        const section = match ? match[1] : 'schemas';
+        const baseName = match
+            ? match[2].replace(/~1/g, '/').replace(/~0/g, '~')
+            : path.basename(file, path.extname(file));
+
+        state.components[section] = state.components[section] || {};
+        let name = baseName;
+        const taken = candidate => state.components[section][candidate] !== undefined
+            || (state.reserved[section] && state.reserved[section][candidate] !== undefined);
+        for (let index = 2; taken(name); index++) {
+            name = `${baseName}_${index}`;
+        }
+
+        // 先登记再展开，支持循环引用
+        const location = {section, name};
+        state.included.set(key, location);
+        state.components[section][name] = null;
+        state.components[section][name] = this.walk(resolved.value, file, null, state);
+        return location;
+    }
+}
+
+module.exports = ComponentBundler;
@@ -0,0 +1,74 @@
+/**
+ * 命名连接管理
+ * 将连接名称解析为DSN，密码从环境变量读取，避免凭据出现在工具参数中
+ */
+
+const config = require('./config');
+
+class ConnectionRegistry {
+    /**
+     * @param {Object} [connections] - 命名连接配置，默认读取 config.connections
+     */
+    constructor(connections = config.connections) {
+        this.connections = connections || {};
+    }
+
+    /**
+     * 列出所有命名连接，不包含密码
+     * @returns {Array} 连接列表
+     */
+    list() {
+        return Object.entries(this.connections).map(([name, profile]) => ({
+            name,
+            host: profile.host,
+            port: profile.port || 3306,
+            user: profile.user,
+            database: profile.database,
+            description: profile.description || '',
+            passwordConfigured: this.getPassword(profile) !== ''
+        }));
+    }
+
+    /**
+     * 读取连接密码，优先使用 passwordEnv 指定的环境变量
+     * @param {Object} profile - 连接配置
+     * @returns {string} 密码
+     */
+    getPassword(profile) {
+        if (profile.passwordEnv) {
+            return process.env[profile.passwordEnv] || '';
+        }
+        return profile.password || '';
+    }
+
+    /**
+     * 将连接名称解析为DSN
+     * @param {string} name - 连接名称
+     * @returns {string} 数据库连接字符串
+     */
+    resolve(name) {
+        const profile = this.connections[name];
+        if (!profile) {
+            const names = Object.keys(this.connections);
+            throw new Error(`未找到连接: ${name}，可用连接: ${names.length ? names.join(', ') : '无'}`);
+        }
+
+        for (const field of ['host', 'user', 'database']) {
+            if (!profile[field]) {
+                throw new Error(`连接 ${name} 缺少配置: ${field}`);
+            }
+        }
+
+        const password = this.getPassword(profile);
+        if (!password) {
+            throw new Error(profile.passwordEnv
+                ? `连接 ${name} 的密码环境变量 ${profile.passwordEnv} 未设置`
+                : `连接 ${name} 未配置密码`);
+        }
+
+        const port = profile.port || 3306;
+        return `mysql://${encodeURIComponent(profile.user)}:${encodeURIComponent(password)}@${profile.host}:${port}/${profile.database}`;
+    }
+}
+
+module.exports = ConnectionRegistry;
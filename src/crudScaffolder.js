@@ -0,0 +1,252 @@
+/**
+ * CRUD接口文档生成
+ * 根据表结构生成列表、详情、新增、修改、删除五个接口的 OpenAPI 文档
+ */
+
+const TableSchemaGenerator = require('./schemaGenerator');
+
+// 不作为列表筛选参数的字段类型
+const UNFILTERABLE_TYPES = ['json', 'tinyblob', 'blob', 'mediumblob', 'longblob', 'binary', 'varbinary',
+    'tinytext', 'text', 'mediumtext', 'longtext', 'geometry', 'point', 'linestring', 'polygon'];
+
+// 列表接口的分页参数
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 500;
+
+class CrudScaffolder {
+    constructor() {
+        this.schemaGenerator = new TableSchemaGenerator();
+    }
+
+    /**
+     * 规范化基础路径，保证以 / 开头且不以 / 结尾
+     * @param {string} basePath - 基础路径
+     * @returns {string} 规范化后的路径
+     */
+    normalizeBasePath(basePath) {
+        const trimmed = String(basePath || '').trim().replace(/\/+$/, '');
+        if (!trimmed) {
+            throw new Error('basePath 不能为空');
+        }
+        return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+    }
+
+    /**
+     * 生成去掉 null 的字段Schema，用于路径和查询参数
+     * @param {Object} column - 字段信息
+     * @returns {Object} 参数Schema
+     */
+    parameterSchema(column) {
+        const schema = this.schemaGenerator.mapColumn({...column, nullable: false, comment: ''});
+        delete schema.readOnly;
+        delete schema.default;
+        return schema;
+    }
+
+    /**
+     * 生成新增/修改接口的请求体Schema，去掉自增和生成列
+     * 非空且没有默认值的字段为必填
+     * @param {Object} tableInfo - describeTable 返回的表结构
+     * @param {Object} entitySchema - 表的对象Schema
+     * @returns {Object} 请求体Schema
+     */
+    inputSchema(tableInfo, entitySchema) {
+        const properties = {};
+        const required = [];
+
+        for (const column of tableInfo.columns) {
+            const property = entitySchema.properties[column.name];
+            if (property.readOnly) {
+                continue;
+            }
+            properties[column.name] = property;
+            if (!column.nullable && column.defaultValue === null && !/DEFAULT_GENERATED/i.test(column.extra)) {
+                required.push(column.name);
+            }
+        }
+
+        const schema = {
+            type: 'object',
+            title: `${entitySchema.title}（写入）`,
+            properties
+        };
+        if (required.length) {
+            schema.required = required;
+        }
+        return schema;
+    }
+
+    /**
+     * 生成CRUD接口文档
+     * @param {Object} tableInfo - describeTable 返回的表结构 {table, comment, columns}
+     * @param {Object} options - 生成选项
+     * @param {string} options.basePath - 基础路径，如 /users
+     * @param {string} [options.schemaName] - 数据模型名称
+     * @param {string} [options.tag] - 接口分组（目录），默认使用表注释或表名
+     * @returns {Object} {document, schemaName, operations, warnings}
+     */
+    scaffold(tableInfo, options) {
+        const basePath = this.normalizeBasePath(options.basePath);
+        const schemaName = options.schemaName || this.schemaGenerator.toSchemaName(tableInfo.table);
+        const inputName = `${schemaName}Input`;
+        const label = tableInfo.comment || tableInfo.table;
+        const tag = options.tag || label;
+        const warnings = [];
+
+        const entitySchema = this.schemaGenerator.tableToSchema(tableInfo);
+        const schemas = {
+            [schemaName]: entitySchema,
+            [inputName]: this.inputSchema(tableInfo, entitySchema)
+        };
+        const entityRef = {$ref: `#/components/schemas/${schemaName}`};
+        const inputBody = {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {$ref: `#/components/schemas/${inputName}`}
+                }
+            }
+        };
+        const entityResponse = description => ({
+            description,
+            content: {
+                'application/json': {
+                    schema: entityRef
+                }
+            }
+        });
+
+        // 列表：分页参数 + 每个可筛选字段一个查询参数
+        const filters = tableInfo.columns
+            .filter(column => !UNFILTERABLE_TYPES.includes(String(column.dataType).toLowerCase()))
+            .map(column => ({
+                name: column.name,
+                in: 'query',
+                required: false,
+                description: column.comment ? `按${column.comment}筛选` : `按 ${column.name} 筛选`,
+                schema: this.parameterSchema(column)
+            }));
+
+        const paths = {
+            [basePath]: {
+                get: {
+                    tags: [tag],
+                    summary: `${label}列表`,
+                    operationId: `list${schemaName}`,
+                    parameters: [
+                        {
+                            name: 'page',
+                            in: 'query',
+                            required: false,
+                            description: '页码，从1开始',
+                            schema: {type: 'integer', minimum: 1, default: 1}
+                        },
+                        {
+                            name: 'pageSize',
+                            in: 'query',
+                            required: false,
+                            description: '每页条数',
+                            schema: {type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE}
+                        },
+                        ...filters
+                    ],
+                    responses: {
+                        '200': {
+                            description: '成功',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            list: {type: 'array', items: entityRef},
+                                            total: {type: 'integer', description: '总条数'},
+                                            page: {type: 'integer', description: '页码'},
+                                            pageSize: {type: 'integer', description: '每页条数'}
+                                        },
+                                        required: ['list', 'total', 'page', 'pageSize']
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                post: {
+                    tags: [tag],
+                    summary: `新增${label}`,
+                    operationId: `create${schemaName}`,
+                    requestBody: inputBody,
+                    responses: {
+                        '201': entityResponse('创建成功'),
+                        '400': {description: '参数错误'}
+                    }
+                }
+            }
+        };
+
+        // 详情、修改、删除按主键访问，联合主键依次作为路径参数
+        const primaryKeys = tableInfo.columns.filter(column => column.primaryKey);
+        if (primaryKeys.length === 0) {
+            warnings.push(`表 ${tableInfo.table} 没有主键，未生成详情、修改、删除接口`);
+        } else {
+            const itemPath = `${basePath}/${primaryKeys.map(column => `{${column.name}}`).join('/')}`;
+            const keyParameters = primaryKeys.map(column => ({
+                name: column.name,
+                in: 'path',
+                required: true,
+                description: column.comment || column.name,
+                schema: this.parameterSchema(column)
+            }));
+            const notFound = {description: '记录不存在'};
+
+            paths[itemPath] = {
+                get: {
+                    tags: [tag],
+                    summary: `获取${label}详情`,
+                    operationId: `get${schemaName}`,
+                    parameters: keyParameters,
+                    responses: {
+                        '200': entityResponse('成功'),
+                        '404': notFound
+                    }
+                },
+                put: {
+                    tags: [tag],
+                    summary: `修改${label}`,
+                    operationId: `update${schemaName}`,
+                    parameters: keyParameters,
+                    requestBody: inputBody,
+                    responses: {
+                        '200': entityResponse('修改成功'),
+                        '400': {description: '参数错误'},
+                        '404': notFound
+                    }
+                },
+                delete: {
+                    tags: [tag],
+                    summary: `删除${label}`,
+                    operationId: `delete${schemaName}`,
+                    parameters: keyParameters,
+                    responses: {
+                        '204': {description: '删除成功'},
+                        '404': notFound
+                    }
+                }
+            };
+        }
+
+        const document = this.schemaGenerator.toOpenAPIDocument(schemas, label);
+        document.tags = [{name: tag}];
+        document.paths = paths;
+
+        const operations = [];
+        for (const [pathKey, pathValue] of Object.entries(paths)) {
+            for (const [method, operation] of Object.entries(pathValue)) {
+                operations.push({method: method.toUpperCase(), path: pathKey, summary: operation.summary});
+            }
+        }
+
+        return {document, schemaName, operations, warnings};
+    }
+}
+
+module.exports = CrudScaffolder;
@@ -0,0 +1,186 @@
+/**
+ * 执行计划分析
+ * 解析 EXPLAIN FORMAT=JSON 与 EXPLAIN ANALYZE 的输出，汇总全表扫描、缺失索引、文件排序和临时表等问题
+ */
+
+// 可以执行 EXPLAIN 的语句类型
+const EXPLAINABLE_STATEMENTS = ['SELECT', 'TABLE', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE'];
+
+// 可以执行 EXPLAIN ANALYZE 的语句类型（EXPLAIN ANALYZE 会真正执行语句，只允许只读查询）
+const ANALYZABLE_STATEMENTS = ['SELECT', 'TABLE'];
+
+class QueryPlanAnalyzer {
+    /**
+     * 判断语句能否执行 EXPLAIN
+     * @param {Object} statement - 解析后的语句
+     * @returns {boolean}
+     */
+    isExplainable(statement) {
+        return EXPLAINABLE_STATEMENTS.includes(statement.type);
+    }
+
+    /**
+     * 判断语句能否执行 EXPLAIN ANALYZE
+     * @param {Object} statement - 解析后的语句
+     * @returns {boolean}
+     */
+    isAnalyzable(statement) {
+        return ANALYZABLE_STATEMENTS.includes(statement.type) && statement.readOnly;
+    }
+
+    /**
+     * 判断服务器版本是否支持 EXPLAIN ANALYZE（MySQL 8.0.18+，不含MariaDB）
+     * @param {string} version - SELECT VERSION() 的结果
+     * @returns {boolean}
+     */
+    supportsAnalyze(version) {
+        if (!version || /mariadb/i.test(version)) {
+            return false;
+        }
+
+        const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version);
+        if (!match) {
+            return false;
+        }
+
+        const [major, minor, patch] = match.slice(1).map(Number);
+        return major > 8 || (major === 8 && (minor > 0 || patch >= 18));
+    }
+
+    /**
+     * 分析 EXPLAIN FORMAT=JSON 输出
+     * @param {Object} plan - 解析后的执行计划
+     * @returns {Object} 结构化的分析结果
+     */
+    analyze(plan) {
+        const summary = {
+            queryCost: null,
+            estimatedRows: 0,
+            tables: [],
+            fullScans: [],
+            fullIndexScans: [],
+            missingIndexes: [],
+            usingFilesort: false,
+            usingTemporary: false,
+            warnings: []
+        };
+
+        const queryBlock = plan.query_block || plan;
+        if (queryBlock.cost_info && queryBlock.cost_info.query_cost !== undefined) {
+            summary.queryCost = Number(queryBlock.cost_info.query_cost);
+        } else if (plan.estimated_total_cost !== undefined) {
+            summary.queryCost = Number(plan.estimated_total_cost);
+        }
+
+        this.walk(plan, summary);
+
+        if (summary.fullScans.length) {
+            summary.warnings.push(`全表扫描: ${summary.fullScans.join(', ')}`);
+        }
+        if (summary.fullIndexScans.length) {
+            summary.warnings.push(`全索引扫描: ${summary.fullIndexScans.join(', ')}`);
+        }
+        for (const item of summary.missingIndexes) {
+            summary.warnings.push(`表 ${item.table} 没有可用索引${item.condition ? `，过滤条件: ${item.condition}` : ''}`);
+        }
+        if (summary.usingFilesort) {
+            summary.warnings.push('使用了文件排序(filesort)，可考虑为 ORDER BY/GROUP BY 字段建立索引');
+        }
+        if (summary.usingTemporary) {
+            summary.warnings.push('使用了临时表，常见于 GROUP BY、DISTINCT 或 UNION');
+        }
+
+        return summary;
+    }
+
+    /**
+     * 递归遍历执行计划节点
+     * @param {*} node - 当前节点
+     * @param {Object} summary - 分析结果
+     */
+    walk(node, summary) {
+        if (Array.isArray(node)) {
+            node.forEach(item => this.walk(item, summary));
+            return;
+        }
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+
+        if (node.using_filesort === true) {
+            summary.usingFilesort = true;
+        }
+        if (node.using_temporary_table === true || node.using_temporary === true) {
+            summary.usingTemporary = true;
+        }
+
+        if (node.access_type && (node.table_name || node.alias)) {
+            this.addTable(node, summary);
+        }
+
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') {
+                this.walk(value, summary);
+            }
+        }
+    }
+
+    /**
+     * 记录单个表的访问方式
+     * @param {Object} node - 表节点
+     * @param {Object} summary - 分析结果
+     */
+    addTable(node, summary) {
+        const name = node.table_name || node.alias;
+        const rowsExamined = node.rows_examined_per_scan !== undefined
+            ? Number(node.rows_examined_per_scan)
+            : (node.estimated_rows !== undefined ? Number(node.estimated_rows) : null);
+        const accessType = String(node.access_type).toUpperCase();
+
+        const table = {
+            table: name,
+            accessType,
+            possibleKeys: node.possible_keys || null,
+            key: node.key || node.index_name || null,
+            usedKeyParts: node.used_key_parts || null,
+            rowsExaminedPerScan: rowsExamined,
+            rowsProducedPerJoin: node.rows_produced_per_join !== undefined ? Number(node.rows_produced_per_join) : null,
+            filtered: node.filtered !== undefined ? Number(node.filtered) : null,
+            usingIndex: node.using_index === true,
+            condition: node.attached_condition || node.condition || null
+        };
+        summary.tables.push(table);
+
+        if (rowsExamined !== null) {
+            summary.estimatedRows += rowsExamined;
+        }
+
+        // 派生表、物化子查询等内部临时表不计入全表扫描告警
+        const internal = /^<.*>$/.test(name);
+        if ((accessType === 'ALL' || accessType === 'TABLE') && !internal) {
+            summary.fullScans.push(name);
+            if (!table.possibleKeys || table.possibleKeys.length === 0) {
+                summary.missingIndexes.push({table: name, condition: table.condition});
+            }
+        } else if (accessType === 'INDEX' && !internal) {
+            summary.fullIndexScans.push(name);
+        }
+    }
+
+    /**
+     * 解析 EXPLAIN ANALYZE 的树形输出
+     * @param {string} tree - EXPLAIN ANALYZE 文本
+     * @returns {Object} {tree, actualTimeMs, actualRows, loops}
+     */
+    parseAnalyze(tree) {
+        const match = /actual time=([\d.]+)\.\.([\d.]+) rows=([\d.e+]+) loops=(\d+)/.exec(tree || '');
+        return {
+            tree,
+            actualTimeMs: match ? Number(match[2]) : null,
+            actualRows: match ? Number(match[3]) : null,
+            loops: match ? Number(match[4]) : null
+        };
+    }
+}
+
+module.exports = QueryPlanAnalyzer;
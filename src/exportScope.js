@@ -0,0 +1,140 @@
+/**
+ * Apifox导出范围
+ * 将按标签、目录、路径筛选的参数转换为导出接口的 scope/options，导出接口不支持的路径筛选在本地完成
+ */
+
+// 参与筛选的HTTP方法
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class ExportScope {
+    /**
+     * 规范化下载范围参数
+     * @param {Object} [args] - 参数
+     * @param {Array} [args.includeTags] - 只导出这些标签下的接口
+     * @param {Array} [args.excludeTags] - 排除这些标签下的接口
+     * @param {Array} [args.folderIds] - 只导出这些Apifox目录下的接口
+     * @param {Array} [args.paths] - 路径通配符，* 匹配一级路径，** 匹配任意层级
+     * @param {boolean} [args.includeApifoxExtensionProperties=false] - 是否导出 x-apifox 扩展字段
+     * @param {boolean} [args.addFoldersToTags=false] - 是否把目录名加入标签
+     * @returns {Object} 规范化后的范围
+     */
+    normalize(args = {}) {
+        const list = (value, name) => {
+            if (value === undefined || value === null) {
+                return [];
+            }
+            if (!Array.isArray(value)) {
+                throw new Error(`${name} 必须是数组`);
+            }
+            return value.map(item => String(item).trim()).filter(Boolean);
+        };
+
+        const folderIds = list(args.folderIds, 'folderIds').map(id => {
+            if (!/^\d+$/.test(id)) {
+                throw new Error(`folderIds 必须是数字ID: ${id}`);
+            }
+            return Number(id);
+        });
+
+        return {
+            includeTags: list(args.includeTags, 'includeTags'),
+            excludeTags: list(args.excludeTags, 'excludeTags'),
+            folderIds,
+            paths: list(args.paths, 'paths'),
+            includeApifoxExtensionProperties: args.includeApifoxExtensionProperties === true,
+            addFoldersToTags: args.addFoldersToTags === true
+        };
+    }
+
+    /**
+     * 生成导出接口的请求参数
+     * 同时指定目录和标签时按目录导出，标签在本地筛选
+     * @param {Object} scope - normalize 的返回值
+     * @returns {Object} {scope, options}
+     */
+    toRequest(scope) {
+        const requestScope = {type: 'ALL'};
+        if (scope.folderIds.length) {
+            requestScope.type = 'SELECTED_FOLDERS';
+            requestScope.selectedFolderIds = scope.folderIds;
+        } else if (scope.includeTags.length) {
+            requestScope.type = 'SELECTED_TAGS';
+            requestScope.selectedTags = scope.includeTags;
+        }
+        if (scope.excludeTags.length) {
+            requestScope.excludedByTags = scope.excludeTags;
+        }
+
+        return {
+            scope: requestScope,
+            options: {
+                includeApifoxExtensionProperties: scope.includeApifoxExtensionProperties,
+                addFoldersToTags: scope.addFoldersToTags
+            }
+        };
+    }
+
+    /**
+     * 路径通配符转换为正则，/users/** 同时匹配 /users 本身
+     * @param {string} pattern - 通配符，如 /users/**、/orders/*
+     * @returns {RegExp} 正则
+     */
+    globToRegExp(pattern) {
+        const source = pattern.split(/(\/\*\*|\*\*|\*|\?)/).map(part => {
+            switch (part) {
+                case '/**':
+                    return '(?:/.*)?';
+                case '**':
+                    return '.*';
+                case '*':
+                    return '[^/]*';
+                case '?':
+                    return '[^/]';
+                default:
+                    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }).join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * 在本地按路径和标签筛选导出的文档
+     * @param {Object} spec - 导出的OpenAPI文档
+     * @param {Object} scope - normalize 的返回值
+     * @returns {Object} 筛选后的文档
+     */
+    filter(spec, scope) {
+        if (!spec || !spec.paths || (!scope.paths.length && !scope.includeTags.length && !scope.excludeTags.length)) {
+            return spec;
+        }
+
+        const patterns = scope.paths.map(pattern => this.globToRegExp(pattern));
+        const paths = {};
+        for (const [pathKey, pathItem] of Object.entries(spec.paths)) {
+            if (patterns.length && !patterns.some(pattern => pattern.test(pathKey))) {
+                continue;
+            }
+
+            const filtered = {};
+            for (const [key, value] of Object.entries(pathItem || {})) {
+                if (HTTP_METHODS.includes(key)) {
+                    const tags = (value && value.tags) || [];
+                    if (scope.includeTags.length && !tags.some(tag => scope.includeTags.includes(tag))) {
+                        continue;
+                    }
+                    if (tags.some(tag => scope.excludeTags.includes(tag))) {
+                        continue;
+                    }
+                }
+                filtered[key] = value;
+            }
+            if (Object.keys(filtered).some(key => HTTP_METHODS.includes(key))) {
+                paths[pathKey] = filtered;
+            }
+        }
+
+        return {...spec, paths};
+    }
+}
+
+module.exports = ExportScope;
@@ -0,0 +1,307 @@
+/**
+ * 进程内的模拟Apifox开放API
+ * 实现 import-openapi 和 export-openapi 两个接口，将 APIFOX_BASE_URL 指向它即可在本地端到端测试 import_openapi、download_apis、sync_apis
+ */
+
+const express = require('express');
+const OpenAPISerializer = require('./openapiSerializer');
+
+// 参与导入导出的HTTP方法
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class FakeApifoxServer {
+    /**
+     * @param {Object} [options] - 选项
+     * @param {string} [options.apiKey] - 允许的API密钥，不设置时不校验
+     * @param {string} [options.apiVersion='2024-03-28'] - 要求的 X-Apifox-Api-Version 请求头
+     * @param {Object} [options.projects] - 初始项目 {projectId: OpenAPI文档}
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || null;
+        this.apiVersion = options.apiVersion || '2024-03-28';
+        this.serializer = new OpenAPISerializer();
+        this.projects = new Map();
+        this.requests = [];
+        this.failures = [];
+        this.importErrors = [];
+        this.server = null;
+
+        for (const [projectId, spec] of Object.entries(options.projects || {})) {
+            this.createProject(projectId, spec);
+        }
+    }
+
+    /**
+     * 创建或重置项目
+     * @param {string} projectId - 项目ID
+     * @param {Object} [spec] - 初始OpenAPI文档
+     * @returns {Object} 项目文档
+     */
+    createProject(projectId, spec = {}) {
+        const document = JSON.parse(JSON.stringify({
+            openapi: '3.1.0',
+            info: {title: `项目 ${projectId}`, version: '1.0.0'},
+            ...spec
+        }));
+        document.paths = document.paths || {};
+        document.components = {...document.components, schemas: {...(document.components && document.components.schemas)}};
+        this.projects.set(String(projectId), document);
+        return document;
+    }
+
+    /**
+     * 获取项目当前的文档
+     * @param {string} projectId - 项目ID
+     * @returns {Object|undefined} OpenAPI文档
+     */
+    getProject(projectId) {
+        return this.projects.get(String(projectId));
+    }
+
+    /**
+     * 让接下来的若干个请求失败，用于测试限流和服务端错误时的重试
+     * @param {number} [count=1] - 失败的请求数
+     * @param {number} [status=503] - 返回的状态码，如 429、500
+     * @param {number} [retryAfter] - 返回的 Retry-After 秒数
+     */
+    failNext(count = 1, status = 503, retryAfter) {
+        for (let index = 0; index < count; index++) {
+            this.failures.push({status, retryAfter});
+        }
+    }
+
+    /**
+     * 让接下来的若干次导入照常生效，但在 data.errors 中返回错误，用于测试部分导入失败
+     * @param {number} [count=1] - 返回错误的导入次数
+     * @param {string} [message='模拟导入错误'] - 错误信息
+     */
+    reportErrorsNext(count = 1, message = '模拟导入错误') {
+        for (let index = 0; index < count; index++) {
+            this.importErrors.push({message});
+        }
+    }
+
+    /**
+     * 启动服务
+     * @param {number} [port=0] - 端口，0表示随机端口
+     * @returns {Promise<string>} 开放API地址，可直接作为 APIFOX_BASE_URL
+     */
+    start(port = 0) {
+        const app = express();
+        app.use(express.json({limit: '50mb'}));
+        app.use((req, res, next) => this.authenticate(req, res, next));
+        app.use((req, res, next) => this.injectFailure(req, res, next));
+        app.post('/v1/projects/:projectId/import-openapi', (req, res) => this.handleImport(req, res));
+        app.post('/v1/projects/:projectId/export-openapi', (req, res) => this.handleExport(req, res));
+        app.use((req, res) => res.status(404).json({success: false, errorCode: '404', errorMessage: `未知接口 ${req.method} ${req.path}`}));
+
+        return new Promise((resolve, reject) => {
+            this.server = app.listen(port, '127.0.0.1', error => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(this.getBaseURL());
+            });
+        });
+    }
+
+    /**
+     * 获取开放API地址
+     * @returns {string} 地址，如 http://127.0.0.1:12345/v1
+     */
+    getBaseURL() {
+        return `http://127.0.0.1:${this.server.address().port}/v1`;
+    }
+
+    /**
+     * 停止服务
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => {
+            this.server = null;
+            resolve();
+        }));
+    }
+
+    /**
+     * 记录请求并校验API版本和密钥
+     * @param {Object} req - 请求
+     * @param {Object} res - 响应
+     * @param {Function} next - 下一个处理器
+     */
+    authenticate(req, res, next) {
+        this.requests.push({method: req.method, path: req.path, query: req.query, headers: req.headers, body: req.body});
+
+        if (req.get('X-Apifox-Api-Version') !== this.apiVersion) {
+            return res.status(400).json({success: false, errorCode: '400', errorMessage: `不支持的API版本: ${req.get('X-Apifox-Api-Version')}`});
+        }
+        if (this.apiKey && req.get('Authorization') !== `Bearer ${this.apiKey}`) {
+            return res.status(401).json({success: false, errorCode: '401', errorMessage: 'API密钥无效'});
+        }
+        next();
+    }
+
+    /**
+     * 返回 failNext 设置的失败响应
+     * @param {Object} req - 请求
+     * @param {Object} res - 响应
+     * @param {Function} next - 下一个处理器
+     */
+    injectFailure(req, res, next) {
+        const failure = this.failures.shift();
+        if (!failure) {
+            return next();
+        }
+        if (failure.retryAfter !== undefined) {
+            res.set('Retry-After', String(failure.retryAfter));
+        }
+        res.status(failure.status).json({success: false, errorCode: String(failure.status), errorMessage: `模拟失败 ${failure.status}`});
+    }
+
+    /**
+     * 查找项目，不存在时返回404
+     * @param {Object} req - 请求
+     * @param {Object} res - 响应
+     * @returns {Object|undefined} 项目文档
+     */
+    findProject(req, res) {
+        const project = this.getProject(req.params.projectId);
+        if (!project) {
+            res.status(404).json({success: false, errorCode: '404', errorMessage: `项目 ${req.params.projectId} 不存在`});
+        }
+        return project;
+    }
+
+    /**
+     * 导入OpenAPI文档：按路径和方法新增或覆盖接口，按名称新增或覆盖数据模型
+     * 模拟服务没有目录，忽略目标目录；KEEP_EXISTING 保留已有内容，其余处理方式均按覆盖处理
+     * @param {Object} req - 请求
+     * @param {Object} res - 响应
+     */
+    handleImport(req, res) {
+        const project = this.findProject(req, res);
+        if (!project) {
+            return;
+        }
+
+        const parsed = this.serializer.parse(req.body && req.body.input);
+        if (!parsed.success) {
+            return res.json({success: true, data: {counters: {}, errors: [{message: parsed.error}]}});
+        }
+
+        const options = (req.body && req.body.options) || {};
+        const counters = {
+            endpointCreated: 0, endpointUpdated: 0, endpointIgnored: 0, endpointDeleted: 0,
+            schemaCreated: 0, schemaUpdated: 0, schemaIgnored: 0, schemaDeleted: 0
+        };
+
+        const imported = new Set();
+        for (const [pathKey, pathItem] of Object.entries(parsed.document.paths || {})) {
+            for (const method of HTTP_METHODS.filter(item => pathItem && pathItem[item])) {
+                imported.add(`${method} ${pathKey}`);
+                project.paths[pathKey] = project.paths[pathKey] || {};
+                if (!project.paths[pathKey][method]) {
+                    counters.endpointCreated++;
+                } else if (options.endpointOverwriteBehavior === 'KEEP_EXISTING') {
+                    counters.endpointIgnored++;
+                    continue;
+                } else {
+                    counters.endpointUpdated++;
+                }
+                project.paths[pathKey][method] = pathItem[method];
+            }
+        }
+
+        const schemas = (parsed.document.components && parsed.document.components.schemas) || {};
+        for (const [name, schema] of Object.entries(schemas)) {
+            if (!project.components.schemas[name]) {
+                counters.schemaCreated++;
+            } else if (options.schemaOverwriteBehavior === 'KEEP_EXISTING') {
+                counters.schemaIgnored++;
+                continue;
+            } else {
+                counters.schemaUpdated++;
+            }
+            project.components.schemas[name] = schema;
+        }
+
+        if (options.deleteUnmatchedResources) {
+            for (const [pathKey, pathItem] of Object.entries(project.paths)) {
+                for (const method of HTTP_METHODS.filter(item => pathItem[item] && !imported.has(`${item} ${pathKey}`))) {
+                    delete pathItem[method];
+                    counters.endpointDeleted++;
+                }
+                if (!HTTP_METHODS.some(method => pathItem[method])) {
+                    delete project.paths[pathKey];
+                }
+            }
+            for (const name of Object.keys(project.components.schemas).filter(item => !(item in schemas))) {
+                delete project.components.schemas[name];
+                counters.schemaDeleted++;
+            }
+        }
+
+        const error = this.importErrors.shift();
+        res.json({success: true, data: {counters, errors: error ? [error] : []}});
+    }
+
+    /**
+     * 导出OpenAPI文档，支持按标签筛选和排除标签
+     * 模拟服务没有目录，按目录导出时返回全部接口
+     * @param {Object} req - 请求
+     * @param {Object} res - 响应
+     */
+    handleExport(req, res) {
+        const project = this.findProject(req, res);
+        if (!project) {
+            return;
+        }
+
+        const scope = (req.body && req.body.scope) || {type: 'ALL'};
+        const options = (req.body && req.body.options) || {};
+        const selectedTags = scope.type === 'SELECTED_TAGS' ? scope.selectedTags || [] : null;
+        const excludedTags = scope.excludedByTags || [];
+
+        const paths = {};
+        for (const [pathKey, pathItem] of Object.entries(project.paths)) {
+            for (const method of HTTP_METHODS.filter(item => pathItem[item])) {
+                const tags = pathItem[method].tags || [];
+                if (selectedTags && !tags.some(tag => selectedTags.includes(tag))) {
+                    continue;
+                }
+                if (tags.some(tag => excludedTags.includes(tag))) {
+                    continue;
+                }
+                paths[pathKey] = paths[pathKey] || {};
+                paths[pathKey][method] = pathItem[method];
+            }
+        }
+
+        const document = {...project, paths};
+        res.json(options.includeApifoxExtensionProperties ? document : this.stripExtensions(document));
+    }
+
+    /**
+     * 去掉 x-apifox 扩展字段
+     * @param {*} node - 节点
+     * @returns {*} 去掉扩展字段后的副本
+     */
+    stripExtensions(node) {
+        if (Array.isArray(node)) {
+            return node.map(item => this.stripExtensions(item));
+        }
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+        return Object.fromEntries(Object.entries(node)
+            .filter(([key]) => !key.startsWith('x-apifox'))
+            .map(([key, value]) => [key, this.stripExtensions(value)]));
+    }
+}
+
+module.exports = FakeApifoxServer;
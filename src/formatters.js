@@ -0,0 +1,233 @@
+/**
+ * 查询结果格式化
+ * 将查询结果输出为JSON、列式JSON、Markdown表格、CSV或NDJSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 支持的输出格式
+const FORMATS = ['json', 'columnar', 'markdown', 'csv', 'ndjson'];
+
+class ResultFormatter {
+    /**
+     * @param {Object} [options] - 输出配置，默认读取 config.output
+     * @param {string} [options.dir] - 允许写入文件的目录
+     */
+    constructor(options = config.output) {
+        this.outputDir = path.resolve(options.dir);
+    }
+
+    /**
+     * 获取支持的输出格式
+     * @returns {Array} 格式列表
+     */
+    getFormats() {
+        return FORMATS;
+    }
+
+    /**
+     * 整理字段元数据，无字段信息时按首行的键生成
+     * @param {Array} fields - executeQuery返回的字段元数据
+     * @param {Array} rows - 查询结果
+     * @returns {Array} 字段元数据
+     */
+    getColumns(fields, rows) {
+        if (fields && fields.length) {
+            return fields.map(field => ({
+                name: field.name,
+                type: field.typeName || field.type,
+                length: field.length,
+                table: field.orgTable || null,
+                column: field.orgName || null
+            }));
+        }
+
+        const first = rows && rows[0];
+        return first ? Object.keys(first).map(name => ({name, type: null, length: null, table: null, column: null})) : [];
+    }
+
+    /**
+     * 将单元格值转换为可序列化的值
+     * 二进制转为base64，日期转为ISO字符串
+     * @param {*} value - 原始值
+     * @returns {*} 可序列化的值
+     */
+    normalizeValue(value) {
+        if (Buffer.isBuffer(value)) {
+            return value.toString('base64');
+        }
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString();
+        }
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        return value;
+    }
+
+    /**
+     * 转换整行的值
+     * Buffer和Date自带toJSON，需在序列化之前转换
+     * @param {Object} row - 行对象
+     * @returns {Object} 可序列化的行对象
+     */
+    normalizeRow(row) {
+        const normalized = {};
+        for (const [key, value] of Object.entries(row)) {
+            normalized[key] = this.normalizeValue(value);
+        }
+        return normalized;
+    }
+
+    /**
+     * 将单元格值转换为文本
+     * @param {*} value - 原始值
+     * @returns {string} 文本
+     */
+    toText(value) {
+        const normalized = this.normalizeValue(value);
+        if (normalized === null || normalized === undefined) {
+            return '';
+        }
+        if (typeof normalized === 'object') {
+            return JSON.stringify(normalized);
+        }
+        return String(normalized);
+    }
+
+    /**
+     * 格式化查询结果
+     * @param {Array} rows - 查询结果
+     * @param {Array} columns - getColumns返回的字段元数据
+     * @param {string} [format='json'] - 输出格式
+     * @returns {Array|Object|string} 格式化结果，json为行对象数组，columnar为对象，其余为文本
+     */
+    format(rows, columns, format = 'json') {
+        switch (format) {
+            case 'json':
+                return rows;
+            case 'columnar':
+                return {
+                    columns: columns.map(column => column.name),
+                    rows: rows.map(row => columns.map(column => this.normalizeValue(row[column.name])))
+                };
+            case 'markdown':
+                return this.toMarkdown(rows, columns);
+            case 'csv':
+                return this.toCSV(rows, columns);
+            case 'ndjson':
+                return rows.map(row => JSON.stringify(this.normalizeRow(row))).join('\n');
+            default:
+                throw new Error(`不支持的输出格式: ${format}，可选: ${FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * 生成Markdown表格
+     * @param {Array} rows - 查询结果
+     * @param {Array} columns - 字段元数据
+     * @returns {string} Markdown表格
+     */
+    toMarkdown(rows, columns) {
+        if (columns.length === 0) {
+            return '';
+        }
+
+        const escape = text => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const lines = [
+            `| ${columns.map(column => escape(column.name)).join(' | ')} |`,
+            `| ${columns.map(() => '---').join(' | ')} |`
+        ];
+        for (const row of rows) {
+            lines.push(`| ${columns.map(column => escape(this.toText(row[column.name]))).join(' | ')} |`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * 生成CSV（RFC 4180）
+     * @param {Array} rows - 查询结果
+     * @param {Array} columns - 字段元数据
+     * @returns {string} CSV文本
+     */
+    toCSV(rows, columns) {
+        const escape = text => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        const lines = [columns.map(column => escape(column.name)).join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(column => escape(this.toText(row[column.name]))).join(','));
+        }
+
+        return lines.join('\r\n');
+    }
+
+    /**
+     * 解析输出文件路径
+     * 相对路径基于输出目录，解析后（含符号链接）必须位于输出目录内；已存在的文件只有 overwrite 为 true 时才允许覆盖
+     * @param {string} filePath - 文件路径
+     * @param {boolean} [overwrite=false] - 是否覆盖已存在的文件
+     * @returns {string} 绝对路径
+     */
+    resolveOutputPath(filePath, overwrite = false) {
+        const target = path.resolve(this.outputDir, String(filePath));
+        const inside = (base, file) => {
+            const relative = path.relative(base, file);
+            return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+        };
+        if (!inside(this.outputDir, target)) {
+            throw new Error(`输出文件必须位于 ${this.outputDir} 目录下: ${filePath}`);
+        }
+
+        // 已存在的上级目录可能是指向输出目录之外的符号链接
+        let existing = path.dirname(target);
+        while (!fs.existsSync(existing)) {
+            existing = path.dirname(existing);
+        }
+        const realDir = fs.realpathSync(existing);
+        const realBase = fs.existsSync(this.outputDir) ? fs.realpathSync(this.outputDir) : this.outputDir;
+        if (realDir !== realBase && !inside(realBase, realDir)) {
+            throw new Error(`输出文件必须位于 ${this.outputDir} 目录下: ${filePath}`);
+        }
+
+        let stat = null;
+        try {
+            stat = fs.lstatSync(target);
+        } catch (error) {
+            // 文件不存在
+        }
+        if (stat && (!stat.isFile() || !overwrite)) {
+            throw new Error(stat.isFile()
+                ? `文件已存在: ${target}，需要覆盖时传入 overwrite: true`
+                : `输出路径不是普通文件: ${target}`);
+        }
+
+        return target;
+    }
+
+    /**
+     * 将格式化结果写入文件
+     * @param {string} filePath - 文件路径，相对路径基于输出目录
+     * @param {Array|Object|string} formatted - format返回的结果
+     * @param {Object} [options] - 写入选项
+     * @param {boolean} [options.overwrite=false] - 是否覆盖已存在的文件
+     * @returns {Object} {path, bytes}
+     */
+    writeFile(filePath, formatted, {overwrite = false} = {}) {
+        const target = this.resolveOutputPath(filePath, overwrite);
+        const content = typeof formatted === 'string'
+            ? formatted
+            : JSON.stringify(Array.isArray(formatted) ? formatted.map(row => this.normalizeRow(row)) : formatted, null, 2);
+
+        fs.mkdirSync(path.dirname(target), {recursive: true});
+        fs.writeFileSync(target, content, {encoding: 'utf8', flag: overwrite ? 'w' : 'wx'});
+
+        return {
+            path: target,
+            bytes: Buffer.byteLength(content)
+        };
+    }
+}
+
+module.exports = ResultFormatter;
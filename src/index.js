@@ -21,6 +21,20 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+// 退出信号处理：先释放所有数据库连接池再退出
+const shutdown = async (signal) => {
+  try {
+    await server.stop();
+  } catch (error) {
+    console.error(`${signal} 关闭服务器失败:`, error);
+  } finally {
+    process.exit(0);
+  }
+};
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 // 启动服务器
 server.start().catch((error) => {
   console.error('服务器启动失败:', error);
@@ -0,0 +1,312 @@
+/**
+ * OpenAPI 本地检查
+ * 导入Apifox前检查缺少 responses、无法解析的 $ref、重复的 operationId、未声明的路径参数以及会冲突的文件名
+ */
+
+const path = require('path');
+const OpenAPISerializer = require('./openapiSerializer');
+const ComponentBundler = require('./componentBundler');
+
+// 参与检查的HTTP方法
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class OpenAPILinter {
+    /**
+     * @param {Object} [options] - 检查选项
+     * @param {Function} [options.fileName] - 将 summary 转换为文件名的函数，与 download_apis 的命名规则保持一致
+     */
+    constructor(options = {}) {
+        this.fileName = options.fileName || (name => name);
+        this.serializer = new OpenAPISerializer();
+        this.bundler = new ComponentBundler();
+    }
+
+    /**
+     * 转义 JSON Pointer 片段
+     * @param {string} segment - 片段
+     * @returns {string} 转义后的片段
+     */
+    escapePointer(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * 生成一条检查结果
+     * @param {string} severity - error 或 warning
+     * @param {string} rule - 规则名称
+     * @param {string} pointer - 问题所在的 JSON Pointer
+     * @param {string} message - 说明
+     * @returns {Object} 检查结果
+     */
+    finding(severity, rule, pointer, message) {
+        return {severity, rule, pointer, message};
+    }
+
+    /**
+     * 解析文档内容，支持JSON和YAML
+     * @param {string} content - 文档内容
+     * @returns {Object} {document} 或 {finding}
+     */
+    parse(content) {
+        const parsed = this.serializer.parse(content);
+        if (!parsed.success) {
+            return {finding: this.finding('error', 'parse', '', parsed.error)};
+        }
+        return {document: parsed.document};
+    }
+
+    /**
+     * 检查单个文档
+     * @param {string} content - 文档内容
+     * @param {string} [filePath] - 文档所在文件，用于解析相对路径的 $ref
+     * @returns {Object} {findings, operations}，operations用于跨文件检查
+     */
+    lint(content, filePath = null) {
+        const parsed = this.parse(content);
+        if (!parsed.document) {
+            return {findings: [parsed.finding], operations: []};
+        }
+        return this.lintDocument(parsed.document, filePath);
+    }
+
+    /**
+     * 检查已解析的文档
+     * @param {Object} document - OpenAPI文档
+     * @param {string} [filePath] - 文档所在文件，用于解析相对路径的 $ref
+     * @returns {Object} {findings, operations}
+     */
+    lintDocument(document, filePath = null) {
+        const findings = [];
+        const operations = [];
+
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            return {findings: [this.finding('error', 'structure', '', '文档必须是对象')], operations};
+        }
+        if (!document.openapi && !document.swagger) {
+            findings.push(this.finding('error', 'version', '', '缺少 openapi 版本字段'));
+        }
+        if (!document.paths || typeof document.paths !== 'object') {
+            if (!document.components) {
+                findings.push(this.finding('error', 'structure', '/paths', '缺少 paths'));
+            }
+        }
+
+        this.checkRefs(document, document, '', findings, filePath ? path.dirname(filePath) : null);
+
+        const templates = new Map();
+        for (const [pathKey, pathItem] of Object.entries(document.paths || {})) {
+            const pathPointer = `/paths/${this.escapePointer(pathKey)}`;
+            if (!pathItem || typeof pathItem !== 'object') {
+                continue;
+            }
+
+            // 只有参数名不同的路径模板在请求时无法区分
+            const normalized = pathKey.replace(/\{[^}]+\}/g, '{}');
+            if (templates.has(normalized)) {
+                findings.push(this.finding('error', 'path-conflict', pathPointer, `路径 ${pathKey} 与 ${templates.get(normalized)} 冲突`));
+            } else {
+                templates.set(normalized, pathKey);
+            }
+
+            const templateParams = (pathKey.match(/\{([^}]+)\}/g) || []).map(item => item.slice(1, -1));
+            const pathParams = this.getPathParameters(document, pathItem.parameters);
+
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem[method];
+                if (!operation) {
+                    continue;
+                }
+                const pointer = `${pathPointer}/${method}`;
+                const label = `${method.toUpperCase()} ${pathKey}`;
+
+                // responses
+                if (!operation.responses || typeof operation.responses !== 'object') {
+                    findings.push(this.finding('error', 'responses', pointer, `${label} 缺少 responses`));
+                } else if (Object.keys(operation.responses).length === 0) {
+                    findings.push(this.finding('error', 'responses', `${pointer}/responses`, `${label} 的 responses 为空`));
+                }
+
+                // 路径参数
+                const declared = new Map([...pathParams, ...this.getPathParameters(document, operation.parameters)]);
+                for (const name of templateParams) {
+                    if (!declared.has(name)) {
+                        findings.push(this.finding('error', 'path-params', pointer, `${label} 未声明路径参数 ${name}`));
+                    } else if (declared.get(name).required !== true) {
+                        findings.push(this.finding('error', 'path-params', pointer, `${label} 的路径参数 ${name} 必须设置 required: true`));
+                    }
+                }
+                for (const name of declared.keys()) {
+                    if (!templateParams.includes(name)) {
+                        findings.push(this.finding('error', 'path-params', pointer, `${label} 声明的路径参数 ${name} 不在路径中`));
+                    }
+                }
+
+                if (!operation.summary) {
+                    findings.push(this.finding('warning', 'summary', pointer, `${label} 缺少 summary，下载时将使用方法和路径作为文件名`));
+                }
+
+                const summary = operation.summary || `${method}_${pathKey.replace(/[^a-zA-Z0-9]/g, '_')}`;
+                operations.push({
+                    pointer,
+                    label,
+                    operationId: operation.operationId || null,
+                    file: [...(operation.tags || []), this.fileName(summary)].join('/')
+                });
+            }
+        }
+
+        findings.push(...this.checkDuplicates(operations));
+        return {findings, operations};
+    }
+
+    /**
+     * 收集参数列表中的路径参数
+     * @param {Object} document - OpenAPI文档
+     * @param {Array} parameters - 参数列表
+     * @returns {Map} 参数名到参数定义的映射
+     */
+    getPathParameters(document, parameters) {
+        const result = new Map();
+        for (const item of parameters || []) {
+            const parameter = this.resolveRef(document, item);
+            if (parameter && parameter.in === 'path' && parameter.name) {
+                result.set(parameter.name, parameter);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 解析文档内部引用
+     * @param {Object} document - OpenAPI文档
+     * @param {string} ref - 引用地址
+     * @returns {*} 引用的对象，无法解析时返回undefined
+     */
+    resolvePointer(document, ref) {
+        return ref.substring(2).split('/').reduce((node, segment) =>
+            node === undefined || node === null ? undefined : node[segment.replace(/~1/g, '/').replace(/~0/g, '~')], document);
+    }
+
+    /**
+     * 解析 $ref 对象
+     * @param {Object} document - OpenAPI文档
+     * @param {Object} value - 可能为 $ref 的对象
+     * @returns {Object} 解析后的对象
+     */
+    resolveRef(document, value) {
+        if (value && typeof value.$ref === 'string' && value.$ref.startsWith('#/')) {
+            return this.resolvePointer(document, value.$ref) || value;
+        }
+        return value;
+    }
+
+    /**
+     * 递归检查所有 $ref 是否可以解析
+     * @param {Object} document - OpenAPI文档
+     * @param {*} node - 当前节点
+     * @param {string} pointer - 当前节点位置
+     * @param {Array} findings - 检查结果
+     * @param {string|null} baseDir - 文档所在目录，为null时无法检查相对路径的引用
+     */
+    checkRefs(document, node, pointer, findings, baseDir) {
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => this.checkRefs(document, item, `${pointer}/${index}`, findings, baseDir));
+            return;
+        }
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+
+        if (typeof node.$ref === 'string') {
+            const ref = node.$ref;
+            if (ref.startsWith('#/')) {
+                if (this.resolvePointer(document, ref) === undefined) {
+                    findings.push(this.finding('error', 'unresolved-ref', `${pointer}/$ref`, `无法解析引用 ${ref}`));
+                }
+            } else if (this.bundler.isFileRef(ref) && baseDir) {
+                // 相对路径引用（如拆分后的 components/schemas）在导入前会合并，这里检查文件和位置是否存在
+                const parsed = this.bundler.parseFileRef(ref, baseDir);
+                const target = parsed.error ? parsed : this.bundler.readTarget(parsed.file, parsed.fragment, ref);
+                if (target.error) {
+                    findings.push(this.finding('error', 'unresolved-ref', `${pointer}/$ref`, target.error));
+                }
+            } else if (ref !== '#') {
+                findings.push(this.finding('warning', 'external-ref', `${pointer}/$ref`, `外部引用 ${ref} 无法在本地检查`));
+            }
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (value && typeof value === 'object') {
+                this.checkRefs(document, value, `${pointer}/${this.escapePointer(key)}`, findings, baseDir);
+            }
+        }
+    }
+
+    /**
+     * 检查重复的 operationId 和下载时会冲突的文件名
+     * @param {Array} operations - 接口列表
+     * @param {Map} [byId] - 已出现的 operationId，跨文件检查时共用
+     * @param {Map} [byFile] - 已出现的文件名，跨文件检查时共用
+     * @param {string} [source] - 当前文件
+     * @returns {Array} 检查结果
+     */
+    checkDuplicates(operations, byId = new Map(), byFile = new Map(), source = null) {
+        const findings = [];
+        const where = operation => operation.source && operation.source !== source
+            ? `${operation.source} 中的 ${operation.label}`
+            : operation.label;
+
+        for (const operation of operations) {
+            if (operation.operationId) {
+                if (byId.has(operation.operationId)) {
+                    findings.push(this.finding('error', 'duplicate-operation-id', `${operation.pointer}/operationId`,
+                        `operationId ${operation.operationId} 与 ${where(byId.get(operation.operationId))} 重复`));
+                } else {
+                    byId.set(operation.operationId, {...operation, source});
+                }
+            }
+
+            const key = operation.file.toLowerCase();
+            if (byFile.has(key)) {
+                findings.push(this.finding('warning', 'file-name-conflict', `${operation.pointer}/summary`,
+                    `与 ${where(byFile.get(key))} 的目录和 summary 相同，下载时会写入同一个文件 ${operation.file}`));
+            } else {
+                byFile.set(key, {...operation, source});
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * 检查多个文件，除单文件检查外还会检查跨文件的 operationId 和文件名冲突
+     * @param {Array} files - 文件列表 [{file, content, path}]，path 为文件的完整路径，用于解析相对路径的 $ref
+     * @returns {Object} {valid, summary, files: [{file, findings}]}
+     */
+    lintFiles(files) {
+        const byId = new Map();
+        const byFile = new Map();
+        const results = [];
+
+        for (const {file, content, path: filePath} of files) {
+            const result = this.lint(content, filePath);
+
+            // 单文件内的重复已在 lintDocument 中报告，这里只保留与其他文件的重复
+            const crossFile = this.checkDuplicates(result.operations, byId, byFile, file)
+                .filter(finding => !result.findings.some(item => item.pointer === finding.pointer && item.rule === finding.rule));
+
+            results.push({file, findings: [...result.findings, ...crossFile]});
+        }
+
+        const errors = results.reduce((sum, result) => sum + result.findings.filter(item => item.severity === 'error').length, 0);
+        const warnings = results.reduce((sum, result) => sum + result.findings.filter(item => item.severity === 'warning').length, 0);
+
+        return {
+            valid: errors === 0,
+            summary: {files: results.length, errors, warnings},
+            files: results
+        };
+    }
+}
+
+module.exports = OpenAPILinter;
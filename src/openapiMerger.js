@@ -0,0 +1,117 @@
+/**
+ * 合并多个OpenAPI文档
+ * 将目录中的接口文档合并为一个文档后一次导入，相同的组件只保留一份，同名但定义不同的接口和组件作为冲突返回
+ */
+
+const ApiSyncPlanner = require('./apiSync');
+
+// 参与合并的HTTP方法
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class OpenAPIMerger {
+    constructor() {
+        this.apiSync = new ApiSyncPlanner();
+    }
+
+    /**
+     * 合并文档
+     * 顶层的 info、servers、security 等取第一个文档，paths 和 components 按键合并，tags 按名称去重
+     * @param {Array} entries - 文档列表 [{file, document}]
+     * @returns {Object} {document, conflicts, warnings, summary}
+     */
+    merge(entries) {
+        const state = {
+            definitions: new Map(),
+            conflicts: new Map(),
+            warnings: []
+        };
+
+        const [first] = entries;
+        const {paths, components, tags, ...base} = (first && first.document) || {};
+        const document = {...base, paths: {}};
+        const mergedComponents = {};
+        const mergedTags = new Map();
+
+        for (const {file, document: source} of entries) {
+            if (source.openapi !== document.openapi) {
+                state.warnings.push({file, message: `OpenAPI版本 ${source.openapi} 与 ${first.file} 的 ${document.openapi} 不同，按 ${document.openapi} 导入`});
+            }
+
+            for (const [pathKey, pathItem] of Object.entries(source.paths || {})) {
+                document.paths[pathKey] = document.paths[pathKey] || {};
+                for (const [key, value] of Object.entries(pathItem || {})) {
+                    const conflictKey = HTTP_METHODS.includes(key)
+                        ? {type: 'operation', key: this.apiSync.operationKey(key, pathKey)}
+                        : {type: 'path', key: `${pathKey} ${key}`};
+                    this.add(document.paths[pathKey], key, value, conflictKey, file, state);
+                }
+            }
+
+            for (const [section, items] of Object.entries(source.components || {})) {
+                mergedComponents[section] = mergedComponents[section] || {};
+                for (const [name, value] of Object.entries(items || {})) {
+                    this.add(mergedComponents[section], name, value, {type: 'component', section, key: name}, file, state);
+                }
+            }
+
+            for (const tag of source.tags || []) {
+                if (tag && tag.name && !mergedTags.has(tag.name)) {
+                    mergedTags.set(tag.name, tag);
+                }
+            }
+        }
+
+        if (Object.keys(mergedComponents).length) {
+            document.components = mergedComponents;
+        }
+        if (mergedTags.size) {
+            document.tags = [...mergedTags.values()];
+        }
+
+        return {
+            document,
+            conflicts: [...state.conflicts.values()],
+            warnings: state.warnings,
+            summary: {
+                files: entries.length,
+                operations: Object.values(document.paths).reduce((count, pathItem) =>
+                    count + HTTP_METHODS.filter(method => pathItem[method]).length, 0),
+                components: Object.fromEntries(Object.entries(mergedComponents).map(([section, items]) => [section, Object.keys(items).length]))
+            }
+        };
+    }
+
+    /**
+     * 将一个定义加入合并结果，已存在且内容相同时跳过，内容不同时记录冲突并保留先出现的定义
+     * @param {Object} target - 合并到的对象
+     * @param {string} key - 键
+     * @param {*} value - 定义
+     * @param {Object} conflictKey - 冲突描述 {type, key, section}
+     * @param {string} file - 定义所在文件
+     * @param {Object} state - 合并状态
+     */
+    add(target, key, value, conflictKey, file, state) {
+        const id = `${conflictKey.type}:${conflictKey.section || ''}:${conflictKey.key}`;
+        const hash = this.apiSync.hash(value);
+        const existing = state.definitions.get(id);
+
+        if (!existing) {
+            state.definitions.set(id, {hash, file});
+            target[key] = value;
+            return;
+        }
+        if (existing.hash === hash) {
+            return;
+        }
+
+        if (!state.conflicts.has(id)) {
+            state.conflicts.set(id, {...conflictKey, files: [existing.file]});
+        }
+        const conflict = state.conflicts.get(id);
+        if (!conflict.files.includes(file)) {
+            conflict.files.push(file);
+        }
+    }
+}
+
+module.exports = OpenAPIMerger;
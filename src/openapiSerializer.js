@@ -0,0 +1,112 @@
+/**
+ * OpenAPI 文档读写
+ * 统一解析 JSON/YAML 格式的文档，并按指定格式输出
+ */
+
+const YAML = require('yaml');
+
+// 支持的文档格式及对应的文件扩展名
+const FORMATS = {
+    json: ['.json'],
+    yaml: ['.yaml', '.yml']
+};
+
+class OpenAPISerializer {
+    /**
+     * 获取支持的输出格式
+     * @returns {Array} 格式列表
+     */
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * 获取可识别的文档扩展名
+     * @returns {Array} 扩展名列表
+     */
+    getExtensions() {
+        return Object.values(FORMATS).flat();
+    }
+
+    /**
+     * 获取格式对应的文件扩展名
+     * @param {string} format - json 或 yaml
+     * @returns {string} 扩展名
+     */
+    getExtension(format) {
+        if (!FORMATS[format]) {
+            throw new Error(`不支持的文档格式: ${format}，可选: ${this.getFormats().join(', ')}`);
+        }
+        return FORMATS[format][0];
+    }
+
+    /**
+     * 根据文件扩展名判断文档格式
+     * @param {string} file - 文件路径
+     * @returns {string|null} json 或 yaml，无法识别时返回null
+     */
+    getFormatByFile(file) {
+        const extension = (String(file).match(/\.[^./\\]+$/) || [''])[0].toLowerCase();
+        return Object.keys(FORMATS).find(format => FORMATS[format].includes(extension)) || null;
+    }
+
+    /**
+     * 解析文档内容，依次尝试JSON和YAML
+     * 以 { 或 [ 开头的内容只按JSON解析，保证报错信息准确
+     * @param {string} content - 文档内容
+     * @returns {Object} 解析结果 {success, document, format} 或 {success: false, error}
+     */
+    parse(content) {
+        const text = String(content || '').trim();
+        if (!text) {
+            return {success: false, error: '文档内容为空'};
+        }
+
+        try {
+            return {success: true, document: JSON.parse(text), format: 'json'};
+        } catch (error) {
+            if (/^[{[]/.test(text)) {
+                return {success: false, error: `JSON解析失败: ${error.message}`};
+            }
+        }
+
+        try {
+            const document = YAML.parse(text);
+            if (!document || typeof document !== 'object' || Array.isArray(document)) {
+                return {success: false, error: '文档内容不是有效的OpenAPI对象'};
+            }
+            return {success: true, document, format: 'yaml'};
+        } catch (error) {
+            return {success: false, error: `YAML解析失败: ${error.message}`};
+        }
+    }
+
+    /**
+     * 将文档序列化为指定格式
+     * @param {Object} document - OpenAPI文档
+     * @param {string} [format='json'] - json 或 yaml
+     * @returns {string} 文档内容
+     */
+    stringify(document, format = 'json') {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(document, null, 2);
+            case 'yaml':
+                return YAML.stringify(document, {aliasDuplicateObjects: false, lineWidth: 0});
+            default:
+                throw new Error(`不支持的文档格式: ${format}，可选: ${this.getFormats().join(', ')}`);
+        }
+    }
+
+    /**
+     * 将JSON或YAML内容统一转换为JSON字符串，解析失败时原样返回
+     * @param {string} content - 文档内容
+     * @returns {string} JSON字符串
+     */
+    toJSON(content) {
+        const parsed = this.parse(content);
+        return parsed.success && parsed.format === 'yaml' ? JSON.stringify(parsed.document) : content;
+    }
+}
+
+module.exports = OpenAPISerializer;
@@ -0,0 +1,201 @@
+/**
+ * 查询结果分页
+ * 限制单次返回的行数和字节数，并通过不透明的游标获取后续页
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+// 可以自动分页的语句类型
+const PAGEABLE_STATEMENTS = ['SELECT', 'TABLE', 'VALUES'];
+
+class ResultPager {
+    /**
+     * @param {Object} [limits] - 结果限制，默认读取 config.database
+     * @param {number} [limits.maxRows] - 单页最大行数
+     * @param {number} [limits.maxBytes] - 单页最大字节数（按JSON序列化计算）
+     */
+    constructor(limits = config.database) {
+        this.maxRows = limits.maxRows;
+        this.maxBytes = limits.maxBytes;
+    }
+
+    /**
+     * 计算连接目标的指纹，防止游标被用在其他连接上
+     * @param {string} target - 连接名称或不含密码的DSN
+     * @returns {string} 指纹
+     */
+    fingerprint(target) {
+        return crypto.createHash('sha256').update(String(target)).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * 生成游标
+     * @param {Object} state - 分页状态
+     * @param {string} state.sql - 原始SQL
+     * @param {Array|Object} state.params - 原始参数
+     * @param {number} state.offset - 下一页起始位置
+     * @param {number} state.pageSize - 每页行数
+     * @param {string} state.target - 连接目标
+     * @returns {string} base64url编码的游标
+     */
+    encodeCursor({sql, params, offset, pageSize, target}) {
+        const payload = {v: 1, s: sql, p: params, o: offset, n: pageSize, t: this.fingerprint(target)};
+        return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    }
+
+    /**
+     * 解析游标
+     * @param {string} cursor - 游标
+     * @param {string} target - 当前连接目标
+     * @returns {Object} 分页状态 {sql, params, offset, pageSize}
+     */
+    decodeCursor(cursor, target) {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('游标无效');
+        }
+
+        if (!payload || payload.v !== 1 || typeof payload.s !== 'string' ||
+            !Number.isInteger(payload.o) || payload.o < 0 || !Number.isInteger(payload.n)) {
+            throw new Error('游标无效');
+        }
+        if (payload.t !== this.fingerprint(target)) {
+            throw new Error('游标不属于当前连接');
+        }
+
+        return {
+            sql: payload.s,
+            params: payload.p,
+            offset: payload.o,
+            pageSize: payload.n
+        };
+    }
+
+    /**
+     * 规范化每页行数
+     * @param {number} [pageSize] - 请求的每页行数
+     * @returns {number} 不超过上限的每页行数
+     */
+    normalizePageSize(pageSize) {
+        const size = parseInt(pageSize);
+        if (!size || size < 1) {
+            return this.maxRows;
+        }
+        return Math.min(size, this.maxRows);
+    }
+
+    /**
+     * 判断语句能否自动分页
+     * @param {Array} statements - 解析后的语句
+     * @returns {boolean}
+     */
+    isPageable(statements) {
+        return statements.length === 1 &&
+            PAGEABLE_STATEMENTS.includes(statements[0].type) &&
+            !statements[0].intoFile &&
+            statements[0].clauses.INTO === undefined;
+    }
+
+    /**
+     * 为查询加上 LIMIT/OFFSET
+     * 不包装为派生表，避免 SELECT * FROM a JOIN b 这类有重名字段的查询报错：
+     * 语句没有顶层 LIMIT 时插入到行锁子句之前或末尾，已有 LIMIT 时与分页范围合并
+     * 多取一行用于判断是否还有下一页
+     * @param {string} sql - 已绑定参数的SQL
+     * @param {Object} statement - 解析后的语句
+     * @param {number} offset - 起始位置
+     * @param {number} pageSize - 每页行数
+     * @returns {string|null} 分页SQL，语句自带的 LIMIT 不是数字常量时返回 null，按原语句执行不分页
+     */
+    wrap(sql, statement, offset, pageSize) {
+        const {tokens, clauses} = statement;
+        const lockClause = [clauses.FOR, clauses.LOCK].filter(index => index !== undefined).sort((a, b) => a - b)[0];
+
+        if (clauses.LIMIT === undefined) {
+            const limit = `LIMIT ${pageSize + 1} OFFSET ${offset}`;
+            if (lockClause === undefined) {
+                return `${sql.substring(statement.start, statement.end)} ${limit}`;
+            }
+            const lockStart = tokens[lockClause].start;
+            return `${sql.substring(statement.start, lockStart)}${limit} ${sql.substring(lockStart, statement.end)}`;
+        }
+
+        const existing = this.readLimit(tokens, clauses.LIMIT);
+        if (!existing || (lockClause !== undefined ? existing.end !== lockClause : existing.end !== tokens.length)) {
+            return null;
+        }
+
+        const count = Math.max(0, Math.min(pageSize + 1, existing.count - offset));
+        const limitStart = tokens[clauses.LIMIT].start;
+        const limitEnd = tokens[existing.end - 1].end;
+        return `${sql.substring(statement.start, limitStart)}LIMIT ${count} OFFSET ${existing.offset + offset}${sql.substring(limitEnd, statement.end)}`;
+    }
+
+    /**
+     * 读取语句自带的 LIMIT n、LIMIT m, n 或 LIMIT n OFFSET m
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - LIMIT 的位置
+     * @returns {Object|null} {count, offset, end}，end 为 LIMIT 子句之后的位置；不是数字常量时返回 null
+     */
+    readLimit(tokens, index) {
+        const number = token => token && token.type === 'number' && /^\d+$/.test(token.value) ? Number(token.value) : null;
+        const first = number(tokens[index + 1]);
+        if (first === null) {
+            return null;
+        }
+
+        const separator = tokens[index + 2];
+        if (separator && (separator.value === ',' || separator.upper === 'OFFSET')) {
+            const second = number(tokens[index + 3]);
+            if (second === null) {
+                return null;
+            }
+            return separator.value === ','
+                ? {count: second, offset: first, end: index + 4}
+                : {count: first, offset: second, end: index + 4};
+        }
+
+        return {count: first, offset: 0, end: index + 2};
+    }
+
+    /**
+     * 按行数和字节数截断结果
+     * 至少保留一行，保证游标能够前进
+     * @param {Array} rows - 查询结果
+     * @param {number} pageSize - 每页行数
+     * @param {number} [maxBytes] - 最大字节数，默认使用配置值
+     * @returns {Object} {rows, truncated, truncatedBy, bytes}
+     */
+    truncate(rows, pageSize, maxBytes = this.maxBytes) {
+        const limit = Math.min(pageSize, this.maxRows);
+        const kept = [];
+        let bytes = 2;
+        let truncatedBy = null;
+
+        for (const row of rows) {
+            if (kept.length >= limit) {
+                truncatedBy = 'rows';
+                break;
+            }
+            const size = Buffer.byteLength(JSON.stringify(row)) + 1;
+            if (kept.length > 0 && bytes + size > maxBytes) {
+                truncatedBy = 'bytes';
+                break;
+            }
+            kept.push(row);
+            bytes += size;
+        }
+
+        return {
+            rows: kept,
+            truncated: truncatedBy !== null,
+            truncatedBy,
+            bytes
+        };
+    }
+}
+
+module.exports = ResultPager;
@@ -0,0 +1,140 @@
+/**
+ * SQL参数绑定
+ * 将 :name 命名占位符改写为 ? 位置占位符，并按类型标记转换参数值
+ */
+
+const SQLParser = require('./sqlParser');
+
+// 支持的类型标记：{type, value}
+const TYPED_VALUES = ['date', 'datetime', 'json', 'binary'];
+
+class ParamBinder {
+    constructor() {
+        this.parser = new SQLParser();
+    }
+
+    /**
+     * 判断参数是否为类型标记对象
+     * @param {*} param - 参数值
+     * @returns {boolean}
+     */
+    isTypedValue(param) {
+        return !!param && typeof param === 'object' && !Array.isArray(param) &&
+            TYPED_VALUES.includes(param.type) && Object.prototype.hasOwnProperty.call(param, 'value');
+    }
+
+    /**
+     * 绑定参数
+     * @param {string} sql - SQL语句
+     * @param {Array|Object} params - 位置参数数组或命名参数对象
+     * @returns {Object} 绑定结果 {success, sql, values} 或 {success: false, error}
+     */
+    bind(sql, params = []) {
+        const tokenized = this.parser.tokenize(sql);
+        if (!tokenized.success) {
+            return {success: false, error: `SQL解析失败: ${tokenized.error}`};
+        }
+
+        const placeholders = tokenized.tokens.filter(token => token.type === 'placeholder');
+        const named = placeholders.filter(token => token.name);
+        const positional = placeholders.filter(token => !token.name);
+
+        if (named.length && positional.length) {
+            return {success: false, error: '不能同时使用 ? 和 :name 两种占位符'};
+        }
+
+        let rewritten = sql;
+        let rawValues;
+        if (named.length) {
+            if (!params || typeof params !== 'object' || Array.isArray(params)) {
+                return {success: false, error: 'SQL使用了 :name 命名占位符，params 必须是对象'};
+            }
+
+            rawValues = [];
+            for (const token of named) {
+                if (!Object.prototype.hasOwnProperty.call(params, token.name)) {
+                    return {success: false, error: `缺少命名参数: ${token.name}`};
+                }
+                rawValues.push(params[token.name]);
+            }
+
+            // 从后往前替换，保证偏移量有效
+            for (const token of [...named].reverse()) {
+                rewritten = rewritten.substring(0, token.start) + '?' + rewritten.substring(token.end);
+            }
+        } else {
+            if (!Array.isArray(params)) {
+                return {success: false, error: 'SQL使用了 ? 位置占位符，params 必须是数组'};
+            }
+            if (params.length !== positional.length) {
+                return {success: false, error: `参数数量不匹配: SQL需要 ${positional.length} 个，实际传入 ${params.length} 个`};
+            }
+            rawValues = params;
+        }
+
+        const values = [];
+        for (let i = 0; i < rawValues.length; i++) {
+            const label = named.length ? `:${named[i].name}` : `${i + 1}`;
+            const coerced = this.coerce(rawValues[i], label);
+            if (!coerced.success) {
+                return coerced;
+            }
+            values.push(coerced.value);
+        }
+
+        return {success: true, sql: rewritten, values};
+    }
+
+    /**
+     * 按类型标记转换参数值
+     * @param {*} param - 参数值
+     * @param {string} label - 参数名称或序号，用于错误提示
+     * @returns {Object} 转换结果 {success, value} 或 {success: false, error}
+     */
+    coerce(param, label) {
+        if (param === undefined) {
+            return {success: false, error: `参数 ${label} 未定义，空值请使用null`};
+        }
+        if (param === null || ['string', 'number', 'boolean'].includes(typeof param)) {
+            return {success: true, value: param};
+        }
+
+        if (!this.isTypedValue(param)) {
+            // 普通对象和数组按JSON传入
+            return {success: true, value: JSON.stringify(param)};
+        }
+
+        const {type, value} = param;
+        if (value === null) {
+            return {success: true, value: null};
+        }
+
+        switch (type) {
+            case 'date':
+            case 'datetime': {
+                const date = new Date(value);
+                if (typeof value === 'boolean' || isNaN(date.getTime())) {
+                    return {success: false, error: `参数 ${label} 不是有效的日期: ${value}`};
+                }
+                if (type === 'date') {
+                    // 已是 YYYY-MM-DD 开头的字符串时直接截取，避免时区换算改变日期
+                    const match = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.exec(value);
+                    return {success: true, value: match ? match[0] : date.toISOString().substring(0, 10)};
+                }
+                return {success: true, value: date};
+            }
+            case 'json':
+                return {success: true, value: JSON.stringify(value)};
+            case 'binary': {
+                if (typeof value !== 'string' || !/^[A-Za-z0-9+/_-]*={0,2}$/.test(value)) {
+                    return {success: false, error: `参数 ${label} 不是有效的base64字符串`};
+                }
+                return {success: true, value: Buffer.from(value, 'base64')};
+            }
+            default:
+                return {success: false, error: `参数 ${label} 类型无效: ${type}`};
+        }
+    }
+}
+
+module.exports = ParamBinder;
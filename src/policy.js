@@ -0,0 +1,243 @@
+/**
+ * 访问策略
+ * 按DSN模式或连接名称匹配访问规则，限制只读、语句类型、可访问的表以及字段脱敏
+ */
+
+const config = require('./config');
+
+// 只读模式下允许的语句类型
+const READ_ONLY_STATEMENTS = ['SELECT', 'SHOW', 'DESCRIBE', 'EXPLAIN', 'TABLE', 'VALUES'];
+
+// 字段脱敏的默认替换值
+const DEFAULT_MASK = '******';
+
+class AccessPolicy {
+    /**
+     * @param {Object} [policyConfig] - 策略配置，默认读取 config.policy
+     */
+    constructor(policyConfig = config.policy) {
+        this.defaultRules = (policyConfig && policyConfig.default) || {};
+        this.policies = (policyConfig && policyConfig.policies) || [];
+    }
+
+    /**
+     * 去掉DSN中的密码，用于模式匹配
+     * @param {string} dsn - 数据库连接字符串
+     * @returns {string} 不含密码的DSN，格式：mysql://user@host:port/database
+     */
+    stripPassword(dsn) {
+        return String(dsn || '').replace(/^(mysql:\/\/[^:@]+):[^@]*@/, '$1@');
+    }
+
+    /**
+     * 将通配符模式转换为正则，* 匹配任意字符
+     * @param {string} pattern - 通配符模式
+     * @returns {RegExp} 正则表达式
+     */
+    globToRegExp(pattern) {
+        const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`, 'i');
+    }
+
+    /**
+     * 解析当前连接适用的规则
+     * 多条策略同时匹配时取最严格的组合
+     * @param {Object} target - 连接信息
+     * @param {string} [target.dsn] - 数据库连接字符串
+     * @param {string} [target.connection] - 连接名称
+     * @returns {Object} 合并后的规则
+     */
+    resolve({dsn, connection} = {}) {
+        const plainDSN = this.stripPassword(dsn);
+        const matched = this.policies.filter(policy => {
+            if (policy.connection && connection && this.globToRegExp(policy.connection).test(connection)) {
+                return true;
+            }
+            if (policy.match && dsn) {
+                // 端口省略时按默认端口补全后再匹配
+                const withPort = plainDSN.replace(/^(mysql:\/\/[^@]+@[^:/]+)\//, '$1:3306/');
+                const regex = this.globToRegExp(policy.match);
+                return regex.test(plainDSN) || regex.test(withPort);
+            }
+            return false;
+        });
+
+        return [this.defaultRules, ...matched].reduce((rules, policy) => this.mergeRules(rules, policy), {
+            readOnly: false,
+            allowedStatements: null,
+            allowedTables: null,
+            deniedTables: [],
+            columnMasks: {}
+        });
+    }
+
+    /**
+     * 合并两组规则，结果不比任何一方宽松
+     * @param {Object} rules - 已合并的规则
+     * @param {Object} policy - 待合并的策略
+     * @returns {Object} 合并后的规则
+     */
+    mergeRules(rules, policy) {
+        const intersect = (a, b) => {
+            if (!b) return a;
+            const values = b.map(item => String(item));
+            if (!a) return values;
+            return a.filter(item => values.some(other => other.toLowerCase() === item.toLowerCase()));
+        };
+
+        let columnMasks = {...rules.columnMasks};
+        if (Array.isArray(policy.columnMasks)) {
+            for (const pattern of policy.columnMasks) {
+                columnMasks[pattern] = DEFAULT_MASK;
+            }
+        } else if (policy.columnMasks) {
+            columnMasks = {...columnMasks, ...policy.columnMasks};
+        }
+
+        return {
+            readOnly: rules.readOnly || policy.readOnly === true,
+            allowedStatements: intersect(rules.allowedStatements, policy.allowedStatements && policy.allowedStatements.map(s => s.toUpperCase())),
+            allowedTables: intersect(rules.allowedTables, policy.allowedTables),
+            deniedTables: [...rules.deniedTables, ...(policy.deniedTables || [])],
+            columnMasks
+        };
+    }
+
+    /**
+     * 检查语句是否符合规则
+     * @param {Object} rules - resolve返回的规则
+     * @param {Array} statements - SQLValidator.validateSQL返回的语句摘要
+     * @returns {Object} 检查结果
+     */
+    check(rules, statements) {
+        for (const statement of statements) {
+            if (rules.readOnly) {
+                const writeTable = statement.tables.find(table => table.access === 'write');
+                if (!statement.readOnly || !READ_ONLY_STATEMENTS.includes(statement.type) || writeTable) {
+                    return {
+                        isValid: false,
+                        error: `当前连接为只读模式，禁止执行 ${statement.type} 语句`
+                    };
+                }
+            }
+
+            if (rules.allowedStatements && !rules.allowedStatements.includes(statement.type)) {
+                return {
+                    isValid: false,
+                    error: `当前连接不允许执行 ${statement.type} 语句，允许的类型: ${rules.allowedStatements.join(', ') || '无'}`
+                };
+            }
+
+            const tablesCheck = this.checkTables(rules, statement);
+            if (!tablesCheck.isValid) {
+                return tablesCheck;
+            }
+        }
+
+        return {isValid: true};
+    }
+
+    /**
+     * 检查语句涉及的表是否都允许访问
+     * 限制了可访问的表而解析器无法确定语句引用的全部表时，按不允许处理
+     * @param {Object} rules - resolve返回的规则
+     * @param {Object} statement - SQLValidator.validateSQL返回的语句摘要
+     * @returns {Object} 检查结果
+     */
+    checkTables(rules, statement) {
+        if (statement.tablesResolved !== true && (rules.allowedTables || rules.deniedTables.length)) {
+            return {
+                isValid: false,
+                error: `无法确定 ${statement.type} 语句引用的全部表，当前连接限制了可访问的表`
+            };
+        }
+
+        for (const table of statement.tables) {
+            const tableCheck = this.checkTable(rules, table.name, table.schema);
+            if (!tableCheck.isValid) {
+                return tableCheck;
+            }
+        }
+
+        return {isValid: true};
+    }
+
+    /**
+     * 检查表是否允许访问
+     * @param {Object} rules - resolve返回的规则
+     * @param {string} table - 表名
+     * @param {string} [schema] - 库名
+     * @returns {Object} 检查结果
+     */
+    checkTable(rules, table, schema) {
+        const names = schema ? [`${schema}.${table}`, table] : [table];
+        const matches = patterns => patterns.some(pattern => names.some(name => this.globToRegExp(pattern).test(name)));
+        const displayName = schema ? `${schema}.${table}` : table;
+
+        if (matches(rules.deniedTables)) {
+            return {
+                isValid: false,
+                error: `当前连接禁止访问表: ${displayName}`
+            };
+        }
+
+        if (rules.allowedTables && !matches(rules.allowedTables)) {
+            return {
+                isValid: false,
+                error: `表 ${displayName} 不在当前连接允许访问的列表中`
+            };
+        }
+
+        return {isValid: true};
+    }
+
+    /**
+     * 对查询结果中的敏感字段脱敏
+     * 无法确定来源的计算列，只要SQL中出现了被脱敏的字段名也一并脱敏
+     * @param {Object} rules - resolve返回的规则
+     * @param {Array} rows - 查询结果
+     * @param {Array} fields - 字段元数据（含 orgTable、orgName）
+     * @param {string} sql - 执行的SQL
+     * @returns {Array} 脱敏后的结果
+     */
+    maskRows(rules, rows, fields, sql) {
+        const patterns = Object.keys(rules.columnMasks);
+        if (patterns.length === 0 || !Array.isArray(rows) || !fields || fields.length === 0) {
+            return rows;
+        }
+
+        const lowerSQL = sql.toLowerCase();
+        const maskedNames = patterns.map(pattern => pattern.split('.').pop().toLowerCase());
+        const masks = {};
+        for (const field of fields) {
+            const column = field.orgName || '';
+            const table = field.orgTable || '';
+            const pattern = patterns.find(p => {
+                const regex = this.globToRegExp(p);
+                return column && (regex.test(`${table}.${column}`) || (!p.includes('.') && regex.test(column)));
+            });
+
+            if (pattern) {
+                masks[field.name] = rules.columnMasks[pattern];
+            } else if (!column && maskedNames.some(name => name !== '*' && lowerSQL.includes(name))) {
+                masks[field.name] = DEFAULT_MASK;
+            }
+        }
+
+        if (Object.keys(masks).length === 0) {
+            return rows;
+        }
+
+        return rows.map(row => {
+            const masked = {...row};
+            for (const [name, replacement] of Object.entries(masks)) {
+                if (masked[name] !== null && masked[name] !== undefined) {
+                    masked[name] = replacement;
+                }
+            }
+            return masked;
+        });
+    }
+}
+
+module.exports = AccessPolicy;
@@ -0,0 +1,368 @@
+/**
+ * 接口响应校验
+ * 在本地接口文档中按请求方法和路径模板查找接口，用 JSON Schema 校验实际响应的状态码、响应头和响应体
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+// 参与匹配的HTTP方法
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class ResponseVerifier {
+    /**
+     * 创建校验器实例
+     * 每次校验使用新实例，避免编译缓存随调用次数增长
+     * @returns {Object} Ajv实例
+     */
+    createAjv() {
+        // OpenAPI 允许 example、discriminator、x-* 等扩展关键字，关闭严格模式
+        const ajv = new Ajv2020({strict: false, allErrors: true, logger: false});
+        addFormats(ajv);
+        return ajv;
+    }
+
+    /**
+     * 转义 JSON Pointer 片段
+     * @param {string} segment - 片段
+     * @returns {string} 转义后的片段
+     */
+    escapePointer(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * 拼接 JSON Pointer
+     * @param {...string} segments - 片段
+     * @returns {string} JSON Pointer
+     */
+    pointer(...segments) {
+        return segments.map(segment => `/${this.escapePointer(segment)}`).join('');
+    }
+
+    /**
+     * 获取文档 servers 中的路径前缀，如 https://example.com/api -> /api
+     * @param {Object} document - OpenAPI文档
+     * @returns {Array} 路径前缀列表
+     */
+    getBasePaths(document) {
+        const basePaths = [''];
+        for (const server of document.servers || []) {
+            try {
+                const pathname = new URL(server.url, 'http://localhost').pathname.replace(/\/+$/, '');
+                if (pathname && !basePaths.includes(pathname)) {
+                    basePaths.push(pathname);
+                }
+            } catch (error) {
+                // 带变量等无法解析的地址不参与匹配
+            }
+        }
+        return basePaths;
+    }
+
+    /**
+     * 将路径模板转换为正则，{param} 匹配单个路径段
+     * @param {string} template - 路径模板
+     * @returns {RegExp} 正则表达式
+     */
+    templateToRegExp(template) {
+        const pattern = template
+            .split(/(\{[^}]+\})/)
+            .map(part => /^\{[^}]+\}$/.test(part) ? '([^/]+)' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+        return new RegExp(`^${pattern}/?$`);
+    }
+
+    /**
+     * 在文档中查找与请求匹配的接口
+     * 多个接口匹配时优先选择路径参数最少的模板（如 /users/me 优先于 /users/{id}）
+     * @param {Array} documents - 文档列表 [{file, document}]
+     * @param {string} method - 请求方法
+     * @param {string} pathname - 请求路径
+     * @returns {Object|null} {file, document, pathKey, method, operation}
+     */
+    findOperation(documents, method, pathname) {
+        const lowerMethod = String(method).toLowerCase();
+        let best = null;
+
+        for (const {file, document} of documents) {
+            if (!document || !document.paths) {
+                continue;
+            }
+            const basePaths = this.getBasePaths(document);
+
+            for (const [pathKey, pathItem] of Object.entries(document.paths)) {
+                const operation = pathItem && pathItem[lowerMethod];
+                if (!operation || !HTTP_METHODS.includes(lowerMethod)) {
+                    continue;
+                }
+
+                const regExp = this.templateToRegExp(pathKey);
+                const matched = basePaths.some(basePath =>
+                    pathname.startsWith(basePath) && regExp.test(pathname.substring(basePath.length) || '/'));
+                if (!matched) {
+                    continue;
+                }
+
+                const paramCount = (pathKey.match(/\{[^}]+\}/g) || []).length;
+                if (!best || paramCount < best.paramCount) {
+                    best = {file, document, pathKey, method: lowerMethod, operation, paramCount};
+                }
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+        delete best.paramCount;
+        return best;
+    }
+
+    /**
+     * 按状态码查找响应定义，依次匹配精确状态码、范围（如 2XX）和 default
+     * @param {Object} responses - 接口的 responses
+     * @param {number} status - 实际状态码
+     * @returns {Object|null} {key, response}
+     */
+    findResponse(responses, status) {
+        const candidates = [String(status), `${String(status).charAt(0)}XX`, `${String(status).charAt(0)}xx`, 'default'];
+        for (const key of candidates) {
+            if (responses && responses[key]) {
+                return {key, response: responses[key]};
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 按 Content-Type 查找响应内容定义，支持 application/* 和 *\/* 通配
+     * @param {Object} content - 响应的 content
+     * @param {string} contentType - 实际 Content-Type
+     * @returns {Object|null} {key, media}
+     */
+    findMedia(content, contentType) {
+        if (!content) {
+            return null;
+        }
+
+        const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+        const [type] = mediaType.split('/');
+        const candidates = [mediaType, `${type}/*`, '*/*'];
+        for (const key of Object.keys(content)) {
+            if (candidates.includes(key.toLowerCase())) {
+                return {key, media: content[key]};
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 解析引用，只支持文档内部的 #/ 引用
+     * @param {Object} document - OpenAPI文档
+     * @param {Object} value - 可能为 $ref 的对象
+     * @returns {Object} 解析后的对象
+     */
+    resolveRef(document, value) {
+        let current = value;
+        const seen = new Set();
+        while (current && typeof current.$ref === 'string' && current.$ref.startsWith('#/') && !seen.has(current.$ref)) {
+            seen.add(current.$ref);
+            current = current.$ref.substring(2).split('/').reduce((node, segment) =>
+                node && node[segment.replace(/~1/g, '/').replace(/~0/g, '~')], document);
+        }
+        return current || value;
+    }
+
+    /**
+     * 将 OpenAPI 3.0 的 Schema 转换为 JSON Schema（nullable、布尔形式的 exclusiveMinimum/Maximum）
+     * @param {*} schema - Schema
+     * @returns {*} 转换后的Schema
+     */
+    normalizeSchema(schema) {
+        if (Array.isArray(schema)) {
+            return schema.map(item => this.normalizeSchema(item));
+        }
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(schema)) {
+            result[key] = this.normalizeSchema(value);
+        }
+
+        if (result.nullable === true) {
+            if (typeof result.type === 'string') {
+                result.type = [result.type, 'null'];
+            }
+            if (Array.isArray(result.enum) && !result.enum.includes(null)) {
+                result.enum = [...result.enum, null];
+            }
+        }
+        if (typeof result.nullable === 'boolean') {
+            delete result.nullable;
+        }
+
+        for (const [flag, limit] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+            if (result[flag] === true) {
+                result[flag] = result[limit];
+                delete result[limit];
+            } else if (result[flag] === false) {
+                delete result[flag];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 编译Schema，文档的 components 挂在根节点上，使 #/components/... 引用可以解析
+     * @param {Object} ajv - Ajv实例
+     * @param {Object} document - OpenAPI文档
+     * @param {Object} schema - 待编译的Schema
+     * @returns {Function} 校验函数
+     */
+    compile(ajv, document, schema) {
+        const legacy = /^3\.0/.test(String(document.openapi || ''));
+        const wrapped = {
+            allOf: [schema],
+            components: document.components || {}
+        };
+        return ajv.compile(legacy ? this.normalizeSchema(wrapped) : wrapped);
+    }
+
+    /**
+     * 将 Ajv 的 schemaPath 转换为文档中的 JSON Pointer
+     * @param {string} schemaPath - Ajv 返回的 schemaPath
+     * @param {string} schemaPointer - 响应Schema在文档中的位置
+     * @returns {string} 文档中的 JSON Pointer
+     */
+    toDocumentPointer(schemaPath, schemaPointer) {
+        const path = String(schemaPath).replace(/^#/, '');
+        if (path.startsWith('/allOf/0')) {
+            return schemaPointer + path.substring('/allOf/0'.length);
+        }
+        return path;
+    }
+
+    /**
+     * 按值的Schema转换响应头文本
+     * @param {string} value - 响应头的值
+     * @param {Object} schema - Schema
+     * @returns {*} 转换后的值
+     */
+    coerceHeader(value, schema) {
+        const types = [].concat((schema && schema.type) || []);
+        if ((types.includes('integer') || types.includes('number')) && value !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+        if (types.includes('boolean') && ['true', 'false'].includes(String(value))) {
+            return value === 'true';
+        }
+        return value;
+    }
+
+    /**
+     * 校验实际响应
+     * @param {Object} match - findOperation 返回的接口
+     * @param {Object} response - 实际响应 {status, headers, data}
+     * @returns {Object} {valid, responseKey, mismatches: [{pointer, message, documentPointer}]}
+     */
+    verify(match, response) {
+        const {document, pathKey, method, operation} = match;
+        const mismatches = [];
+        const ajv = this.createAjv();
+        const operationPointer = this.pointer('paths', pathKey, method);
+
+        // 状态码
+        const found = this.findResponse(operation.responses, response.status);
+        if (!found) {
+            mismatches.push({
+                pointer: '/status',
+                message: `状态码 ${response.status} 未在文档中定义，已定义: ${Object.keys(operation.responses || {}).join(', ') || '无'}`,
+                documentPointer: `${operationPointer}/responses`
+            });
+            return {valid: false, responseKey: null, mismatches};
+        }
+
+        const responseDef = this.resolveRef(document, found.response);
+        const responsePointer = `${operationPointer}${this.pointer('responses', found.key)}`;
+        const headers = response.headers || {};
+
+        // 响应头
+        for (const [name, headerRef] of Object.entries(responseDef.headers || {})) {
+            const header = this.resolveRef(document, headerRef);
+            const headerPointer = `${responsePointer}${this.pointer('headers', name)}`;
+            const value = headers[name.toLowerCase()];
+            if (value === undefined) {
+                if (header.required) {
+                    mismatches.push({pointer: this.pointer('headers', name.toLowerCase()), message: `缺少响应头 ${name}`, documentPointer: headerPointer});
+                }
+                continue;
+            }
+            if (header.schema) {
+                const schema = this.resolveRef(document, header.schema);
+                const validate = this.compile(ajv, document, schema);
+                if (!validate(this.coerceHeader(value, schema))) {
+                    for (const error of validate.errors) {
+                        mismatches.push({
+                            pointer: this.pointer('headers', name.toLowerCase()),
+                            message: `响应头 ${name} ${error.message}`,
+                            documentPointer: this.toDocumentPointer(error.schemaPath, `${headerPointer}/schema`)
+                        });
+                    }
+                }
+            }
+        }
+
+        // 响应体
+        const content = responseDef.content;
+        const hasBody = response.data !== undefined && response.data !== null && response.data !== '';
+        if (!content || Object.keys(content).length === 0) {
+            if (hasBody) {
+                mismatches.push({pointer: '/body', message: '文档未定义响应体，但实际返回了内容', documentPointer: responsePointer});
+            }
+            return {valid: mismatches.length === 0, responseKey: found.key, mismatches};
+        }
+
+        const contentType = headers['content-type'] || '';
+        const media = this.findMedia(content, contentType);
+        if (!media) {
+            mismatches.push({
+                pointer: '/headers/content-type',
+                message: `Content-Type ${contentType || '(空)'} 未在文档中定义，已定义: ${Object.keys(content).join(', ')}`,
+                documentPointer: `${responsePointer}/content`
+            });
+            return {valid: false, responseKey: found.key, mismatches};
+        }
+
+        if (media.media && media.media.schema) {
+            let body = response.data;
+            if (typeof body === 'string' && /json/i.test(contentType)) {
+                try {
+                    body = JSON.parse(body);
+                } catch (error) {
+                    mismatches.push({pointer: '/body', message: `响应体不是有效的JSON: ${error.message}`, documentPointer: `${responsePointer}/content`});
+                    return {valid: false, responseKey: found.key, mismatches};
+                }
+            }
+
+            const schemaPointer = `${responsePointer}${this.pointer('content', media.key, 'schema')}`;
+            const validate = this.compile(ajv, document, media.media.schema);
+            if (!validate(body)) {
+                for (const error of validate.errors) {
+                    mismatches.push({
+                        pointer: `/body${error.instancePath}`,
+                        message: error.message,
+                        keyword: error.keyword,
+                        params: error.params,
+                        documentPointer: this.toDocumentPointer(error.schemaPath, schemaPointer)
+                    });
+                }
+            }
+        }
+
+        return {valid: mismatches.length === 0, responseKey: found.key, mismatches};
+    }
+}
+
+module.exports = ResponseVerifier;
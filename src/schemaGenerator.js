@@ -0,0 +1,236 @@
+/**
+ * 表结构转 OpenAPI Schema
+ * 将 describeTable 返回的字段信息映射为 OpenAPI 3.1（JSON Schema）定义
+ */
+
+// 整数类型的取值范围 [有符号最小值, 有符号最大值, 无符号最大值]
+const INTEGER_RANGES = {
+    tinyint: [-128, 127, 255],
+    smallint: [-32768, 32767, 65535],
+    mediumint: [-8388608, 8388607, 16777215],
+    int: [-2147483648, 2147483647, 4294967295],
+    integer: [-2147483648, 2147483647, 4294967295]
+};
+
+// 文本类型
+const STRING_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext'];
+
+// 二进制类型，查询结果按base64输出
+const BINARY_TYPES = ['binary', 'varbinary', 'tinyblob', 'blob', 'mediumblob', 'longblob'];
+
+// 默认值为表达式时不写入 default
+const EXPRESSION_DEFAULT = /^(CURRENT_TIMESTAMP|NOW|LOCALTIME|LOCALTIMESTAMP|CURRENT_DATE|CURRENT_TIME|UUID)\b/i;
+
+// 生成的 OpenAPI 版本，与 download_apis 导出的版本一致
+const OPENAPI_VERSION = '3.1.0';
+
+class TableSchemaGenerator {
+    /**
+     * 将表名转换为Schema名称，如 user_orders -> UserOrders
+     * @param {string} table - 表名
+     * @returns {string} Schema名称
+     */
+    toSchemaName(table) {
+        return String(table)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('') || 'Table';
+    }
+
+    /**
+     * 解析 ENUM/SET 的可选值
+     * @param {string} columnType - 字段完整类型，如 enum('a','b')
+     * @returns {Array} 可选值列表
+     */
+    parseEnumValues(columnType) {
+        const match = /^(?:enum|set)\((.*)\)$/is.exec(columnType);
+        if (!match) {
+            return [];
+        }
+
+        const values = [];
+        const pattern = /'((?:[^'\\]|''|\\.)*)'/g;
+        let item;
+        while ((item = pattern.exec(match[1])) !== null) {
+            values.push(item[1].replace(/''/g, "'").replace(/\\(.)/g, '$1'));
+        }
+        return values;
+    }
+
+    /**
+     * 将单个字段映射为 JSON Schema
+     * @param {Object} column - describeTable 返回的字段信息
+     * @returns {Object} 字段Schema
+     */
+    mapColumn(column) {
+        const dataType = String(column.dataType).toLowerCase();
+        const columnType = String(column.columnType || dataType).toLowerCase();
+        const unsigned = /\bunsigned\b/.test(columnType);
+        let schema;
+
+        if (dataType === 'tinyint' && /^tinyint\(1\)/.test(columnType)) {
+            schema = {type: 'boolean'};
+        } else if (INTEGER_RANGES[dataType]) {
+            const [min, max, unsignedMax] = INTEGER_RANGES[dataType];
+            schema = {
+                type: 'integer',
+                format: unsigned && dataType === 'int' ? 'int64' : 'int32',
+                minimum: unsigned ? 0 : min,
+                maximum: unsigned ? unsignedMax : max
+            };
+        } else if (dataType === 'bigint') {
+            schema = unsigned ? {type: 'integer', format: 'int64', minimum: 0} : {type: 'integer', format: 'int64'};
+        } else if (dataType === 'decimal' || dataType === 'numeric') {
+            // DECIMAL 按字符串返回以保留精度
+            const precision = column.numericPrecision || 10;
+            const scale = column.numericScale || 0;
+            const integerDigits = Math.max(precision - scale, 1);
+            schema = {
+                type: 'string',
+                format: 'decimal',
+                pattern: scale > 0
+                    ? `^-?\\d{1,${integerDigits}}(\\.\\d{1,${scale}})?$`
+                    : `^-?\\d{1,${integerDigits}}$`
+            };
+        } else if (dataType === 'float') {
+            schema = {type: 'number', format: 'float'};
+        } else if (dataType === 'double' || dataType === 'real') {
+            schema = {type: 'number', format: 'double'};
+        } else if (dataType === 'bit') {
+            schema = /^bit\(1\)$/.test(columnType) ? {type: 'boolean'} : {type: 'integer', minimum: 0};
+        } else if (dataType === 'year') {
+            schema = {type: 'integer', minimum: 1901, maximum: 2155};
+        } else if (dataType === 'date') {
+            schema = {type: 'string', format: 'date'};
+        } else if (dataType === 'datetime' || dataType === 'timestamp') {
+            schema = {type: 'string', format: 'date-time'};
+        } else if (dataType === 'time') {
+            schema = {type: 'string', pattern: '^-?\\d{1,3}:\\d{2}:\\d{2}(\\.\\d{1,6})?$'};
+        } else if (dataType === 'enum') {
+            schema = {type: 'string', enum: this.parseEnumValues(column.columnType)};
+        } else if (dataType === 'set') {
+            schema = {type: 'string', description: `可选值（逗号分隔多选）: ${this.parseEnumValues(column.columnType).join(', ')}`};
+        } else if (dataType === 'json') {
+            schema = {};
+        } else if (BINARY_TYPES.includes(dataType)) {
+            schema = {type: 'string', contentEncoding: 'base64'};
+        } else if (STRING_TYPES.includes(dataType)) {
+            schema = {type: 'string'};
+            if (column.maxLength !== null && column.maxLength !== undefined) {
+                schema.maxLength = column.maxLength;
+            }
+        } else {
+            // 空间类型等其他类型按字符串处理
+            schema = {type: 'string'};
+        }
+
+        if (column.nullable) {
+            if (schema.type) {
+                schema.type = [schema.type, 'null'];
+            }
+            if (schema.enum) {
+                schema.enum = [...schema.enum, null];
+            }
+        }
+
+        const description = [column.comment, schema.description].filter(Boolean).join('；');
+        if (description) {
+            schema.description = description;
+        }
+
+        const defaultValue = this.mapDefault(column, schema);
+        if (defaultValue !== undefined) {
+            schema.default = defaultValue;
+        }
+
+        // 自增和生成列由数据库维护
+        if (/auto_increment|\bGENERATED\b/i.test(column.extra)) {
+            schema.readOnly = true;
+        }
+
+        return schema;
+    }
+
+    /**
+     * 转换字段默认值，表达式默认值返回undefined
+     * @param {Object} column - 字段信息
+     * @param {Object} schema - 字段Schema
+     * @returns {*} 默认值
+     */
+    mapDefault(column, schema) {
+        const value = column.defaultValue;
+        if (value === null || value === undefined || /DEFAULT_GENERATED/i.test(column.extra) || EXPRESSION_DEFAULT.test(String(value))) {
+            return undefined;
+        }
+
+        const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+        switch (type) {
+            case 'integer':
+            case 'number': {
+                const number = Number(value);
+                return isNaN(number) ? undefined : number;
+            }
+            case 'boolean':
+                return value === '1' || value === "b'1'" || String(value).toLowerCase() === 'true';
+            case 'string':
+                return String(value);
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * 生成表的对象Schema
+     * @param {Object} tableInfo - describeTable 返回的表结构 {table, comment, columns}
+     * @returns {Object} 对象Schema
+     */
+    tableToSchema(tableInfo) {
+        const properties = {};
+        const required = [];
+
+        for (const column of tableInfo.columns) {
+            properties[column.name] = this.mapColumn(column);
+            if (!column.nullable) {
+                required.push(column.name);
+            }
+        }
+
+        const schema = {
+            type: 'object',
+            title: tableInfo.comment || tableInfo.table,
+            properties
+        };
+        if (tableInfo.comment) {
+            schema.description = tableInfo.comment;
+        }
+        if (required.length) {
+            schema.required = required;
+        }
+        schema['x-mysql-table'] = tableInfo.table;
+
+        return schema;
+    }
+
+    /**
+     * 生成只包含 components.schemas 的 OpenAPI 文档，可直接导入Apifox
+     * @param {Object} schemas - Schema名称到定义的映射
+     * @param {string} [title] - 文档标题
+     * @returns {Object} OpenAPI文档
+     */
+    toOpenAPIDocument(schemas, title = '数据模型') {
+        return {
+            openapi: OPENAPI_VERSION,
+            info: {
+                title,
+                version: '1.0.0'
+            },
+            paths: {},
+            components: {
+                schemas
+            }
+        };
+    }
+}
+
+module.exports = TableSchemaGenerator;
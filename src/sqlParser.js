@@ -0,0 +1,1092 @@
+/**
+ * SQL解析器
+ * 将SQL语句切分为词法单元并解析出语句类型、引用的表等结构信息
+ */
+
+// MySQL保留字（用于区分关键字与表别名/标识符）
+const RESERVED_WORDS = new Set([
+    'ACCESSIBLE', 'ADD', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'AS', 'ASC', 'BEFORE', 'BETWEEN', 'BIGINT',
+    'BINARY', 'BLOB', 'BOTH', 'BY', 'CALL', 'CASCADE', 'CASE', 'CHANGE', 'CHAR', 'CHARACTER', 'CHECK',
+    'COLLATE', 'COLUMN', 'CONDITION', 'CONSTRAINT', 'CONTINUE', 'CONVERT', 'CREATE', 'CROSS', 'CUBE',
+    'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'CURSOR', 'DATABASE', 'DATABASES',
+    'DECIMAL', 'DECLARE', 'DEFAULT', 'DELAYED', 'DELETE', 'DESC', 'DESCRIBE', 'DISTINCT', 'DISTINCTROW',
+    'DIV', 'DOUBLE', 'DROP', 'DUAL', 'EACH', 'ELSE', 'ELSEIF', 'ENCLOSED', 'ESCAPED', 'EXCEPT', 'EXISTS',
+    'EXIT', 'EXPLAIN', 'FALSE', 'FETCH', 'FLOAT', 'FOR', 'FORCE', 'FOREIGN', 'FROM', 'FULLTEXT', 'GRANT',
+    'GROUP', 'GROUPING', 'GROUPS', 'HAVING', 'HIGH_PRIORITY', 'IF', 'IGNORE', 'IN', 'INDEX', 'INFILE',
+    'INNER', 'INOUT', 'INSERT', 'INT', 'INTEGER', 'INTERSECT', 'INTERVAL', 'INTO', 'IS', 'ITERATE', 'JOIN',
+    'KEY', 'KEYS', 'KILL', 'LATERAL', 'LEADING', 'LEAVE', 'LEFT', 'LIKE', 'LIMIT', 'LINEAR', 'LINES',
+    'LOAD', 'LOCK', 'LONG', 'LOOP', 'LOW_PRIORITY', 'MATCH', 'MOD', 'MODIFIES', 'NATURAL', 'NOT', 'NULL',
+    'NUMERIC', 'OF', 'ON', 'OPTIMIZE', 'OPTION', 'OPTIONALLY', 'OR', 'ORDER', 'OUT', 'OUTER', 'OUTFILE',
+    'OVER', 'PARTITION', 'PRIMARY', 'PROCEDURE', 'RANGE', 'READ', 'RECURSIVE', 'REFERENCES', 'REGEXP',
+    'RELEASE', 'RENAME', 'REPEAT', 'REPLACE', 'REQUIRE', 'RESTRICT', 'RETURN', 'REVOKE', 'RIGHT', 'RLIKE',
+    'ROW', 'ROWS', 'SCHEMA', 'SCHEMAS', 'SELECT', 'SEPARATOR', 'SET', 'SHOW', 'SIGNAL', 'SMALLINT',
+    'SPATIAL', 'SQL', 'STRAIGHT_JOIN', 'TABLE', 'TERMINATED', 'THEN', 'TO', 'TRAILING', 'TRIGGER', 'TRUE',
+    'UNDO', 'UNION', 'UNIQUE', 'UNLOCK', 'UNSIGNED', 'UPDATE', 'USAGE', 'USE', 'USING', 'VALUES',
+    'VARCHAR', 'WHEN', 'WHERE', 'WHILE', 'WINDOW', 'WITH', 'WRITE', 'XOR'
+]);
+
+// 多字符运算符，按长度降序匹配
+const OPERATORS = ['<=>', '->>', '<=', '>=', '<>', '!=', ':=', '||', '&&', '<<', '>>', '->'];
+
+// 引导子查询的关键字
+const QUERY_STARTERS = new Set(['SELECT', 'WITH', 'VALUES', 'TABLE']);
+
+// 结束FROM表引用列表的关键字
+const TABLE_LIST_END = ['WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'WINDOW', 'UNION', 'EXCEPT', 'INTERSECT',
+    'FOR', 'LOCK', 'INTO', 'SET', 'PROCEDURE', 'SELECT', 'VALUES', 'TABLE', 'UPDATE', 'USING', 'WITH'];
+
+// 连接类型修饰词，如 LEFT OUTER JOIN
+const JOIN_MODIFIERS = ['INNER', 'CROSS', 'LEFT', 'RIGHT', 'OUTER', 'NATURAL'];
+
+// 表维护语句，TABLE 之后为逗号分隔的表列表
+const TABLE_MAINTENANCE = ['ANALYZE', 'OPTIMIZE', 'CHECK', 'REPAIR', 'CHECKSUM'];
+
+// 各语句类型对应的读写性质
+const READ_STATEMENTS = new Set(['SELECT', 'SHOW', 'DESCRIBE', 'EXPLAIN', 'TABLE', 'VALUES']);
+
+class SQLParser {
+    /**
+     * 将SQL切分为词法单元
+     * @param {string} sql - SQL语句
+     * @returns {Object} 切分结果 {success, tokens} 或 {success: false, error, offset}
+     */
+    tokenize(sql) {
+        const tokens = [];
+        const length = sql.length;
+        let i = 0;
+        // 是否处于 /*! ... */ 可执行注释中，其内容会被MySQL执行，需要按普通SQL解析
+        let inExecutableComment = false;
+
+        const push = (type, start, end, extra = {}) => {
+            const value = sql.substring(start, end);
+            tokens.push({type, value, start, end, ...extra});
+        };
+
+        while (i < length) {
+            const ch = sql[i];
+            const next = sql[i + 1];
+
+            // 空白
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // 可执行注释结束
+            if (inExecutableComment && ch === '*' && next === '/') {
+                inExecutableComment = false;
+                i += 2;
+                continue;
+            }
+
+            // 单行注释：# 或 "-- "（MySQL要求--后跟空白或控制字符）
+            if (ch === '#' || (ch === '-' && next === '-' && (i + 2 >= length || /[\s\x00-\x1f]/.test(sql[i + 2])))) {
+                const start = i;
+                while (i < length && sql[i] !== '\n') {
+                    i++;
+                }
+                push('comment', start, i);
+                continue;
+            }
+
+            // 多行注释
+            if (ch === '/' && next === '*') {
+                if (sql[i + 2] === '!') {
+                    if (inExecutableComment) {
+                        return {success: false, error: '不支持嵌套的可执行注释', offset: i};
+                    }
+                    // /*!50001 ... */ 跳过标记和版本号，继续解析内容
+                    inExecutableComment = true;
+                    i += 3;
+                    while (i < length && /\d/.test(sql[i])) {
+                        i++;
+                    }
+                    continue;
+                }
+                const start = i;
+                const close = sql.indexOf('*/', i + 2);
+                if (close === -1) {
+                    return {success: false, error: '注释未闭合', offset: start};
+                }
+                i = close + 2;
+                push('comment', start, i);
+                continue;
+            }
+
+            // 字符串，支持 _charset'..'、N'..'、X'..'、B'..' 前缀
+            const prefixMatch = /^(?:_[a-z0-9]+|[nxb])(?=['"])/i.exec(sql.substring(i, i + 32));
+            if (ch === '\'' || ch === '"' || prefixMatch) {
+                const start = i;
+                if (prefixMatch) {
+                    i += prefixMatch[0].length;
+                }
+                const quote = sql[i];
+                i++;
+                let value = '';
+                let closed = false;
+                while (i < length) {
+                    const c = sql[i];
+                    if (c === '\\' && i + 1 < length) {
+                        value += sql[i + 1];
+                        i += 2;
+                        continue;
+                    }
+                    if (c === quote) {
+                        if (sql[i + 1] === quote) {
+                            value += quote;
+                            i += 2;
+                            continue;
+                        }
+                        closed = true;
+                        i++;
+                        break;
+                    }
+                    value += c;
+                    i++;
+                }
+                if (!closed) {
+                    return {success: false, error: '字符串未闭合', offset: start};
+                }
+                push('string', start, i, {text: value});
+                continue;
+            }
+
+            // 反引号标识符
+            if (ch === '`') {
+                const start = i;
+                i++;
+                let name = '';
+                let closed = false;
+                while (i < length) {
+                    if (sql[i] === '`') {
+                        if (sql[i + 1] === '`') {
+                            name += '`';
+                            i += 2;
+                            continue;
+                        }
+                        closed = true;
+                        i++;
+                        break;
+                    }
+                    name += sql[i];
+                    i++;
+                }
+                if (!closed) {
+                    return {success: false, error: '标识符未闭合', offset: start};
+                }
+                push('identifier', start, i, {name, quoted: true, upper: name.toUpperCase()});
+                continue;
+            }
+
+            // 数字（含十六进制和科学计数法）
+            if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+                const match = /^(?:0x[0-9a-f]+|0b[01]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)/i.exec(sql.substring(i));
+                // 数字开头的标识符，如 1abc
+                const wordMatch = /^\d+[a-z_$][a-z0-9_$]*/i.exec(sql.substring(i));
+                if (wordMatch && wordMatch[0].length > match[0].length) {
+                    const start = i;
+                    i += wordMatch[0].length;
+                    push('identifier', start, i, {name: wordMatch[0], quoted: false, upper: wordMatch[0].toUpperCase()});
+                    continue;
+                }
+                const start = i;
+                i += match[0].length;
+                push('number', start, i);
+                continue;
+            }
+
+            // 变量 @var、@@global.var、@'quoted'
+            if (ch === '@') {
+                const start = i;
+                i++;
+                if (sql[i] === '@') {
+                    i++;
+                }
+                while (i < length && /[a-z0-9_$.]/i.test(sql[i])) {
+                    i++;
+                }
+                push('variable', start, i);
+                continue;
+            }
+
+            // 占位符 ? 和 :name
+            if (ch === '?') {
+                push('placeholder', i, i + 1);
+                i++;
+                continue;
+            }
+            if (ch === ':' && /[a-z_]/i.test(next || '') && !(tokens.length && tokens[tokens.length - 1].end === i && tokens[tokens.length - 1].type === 'identifier')) {
+                const start = i;
+                i++;
+                while (i < length && /[a-z0-9_]/i.test(sql[i])) {
+                    i++;
+                }
+                push('placeholder', start, i, {name: sql.substring(start + 1, i)});
+                continue;
+            }
+
+            // 单词：关键字或标识符
+            if (/[a-z_$\u0080-\uffff]/i.test(ch)) {
+                const start = i;
+                while (i < length && /[a-z0-9_$\u0080-\uffff]/i.test(sql[i])) {
+                    i++;
+                }
+                const word = sql.substring(start, i);
+                const upper = word.toUpperCase();
+                // 限定名中 . 之后的单词始终是标识符，如 t.order
+                const prev = tokens[tokens.length - 1];
+                const qualified = prev && prev.value === '.' && prev.end === start;
+                push(RESERVED_WORDS.has(upper) && !qualified ? 'keyword' : 'identifier', start, i, {
+                    name: word,
+                    quoted: false,
+                    upper
+                });
+                continue;
+            }
+
+            // 运算符
+            const operator = OPERATORS.find(op => sql.startsWith(op, i));
+            if (operator) {
+                push('operator', i, i + operator.length);
+                i += operator.length;
+                continue;
+            }
+
+            if ('(),;.'.includes(ch)) {
+                push('punctuation', i, i + 1);
+                i++;
+                continue;
+            }
+
+            if ('=<>!+-*/%&|^~:'.includes(ch)) {
+                push('operator', i, i + 1);
+                i++;
+                continue;
+            }
+
+            return {success: false, error: `无法识别的字符: ${ch}`, offset: i};
+        }
+
+        if (inExecutableComment) {
+            return {success: false, error: '可执行注释未闭合', offset: length};
+        }
+
+        return {success: true, tokens};
+    }
+
+    /**
+     * 解析SQL，按分号切分为多条语句
+     * @param {string} sql - SQL语句
+     * @returns {Object} 解析结果 {success, statements} 或 {success: false, error, offset}
+     */
+    parse(sql) {
+        const tokenized = this.tokenize(sql);
+        if (!tokenized.success) {
+            return tokenized;
+        }
+
+        const statements = [];
+        let current = [];
+        let depth = 0;
+        for (const token of tokenized.tokens) {
+            if (token.type === 'comment') {
+                continue;
+            }
+            if (token.value === '(') depth++;
+            if (token.value === ')') depth = Math.max(0, depth - 1);
+
+            if (token.value === ';' && token.type === 'punctuation' && depth === 0) {
+                if (current.length) {
+                    statements.push(this.analyzeStatement(sql, current));
+                }
+                current = [];
+                continue;
+            }
+            current.push(token);
+        }
+        if (current.length) {
+            statements.push(this.analyzeStatement(sql, current));
+        }
+
+        return {success: true, statements};
+    }
+
+    /**
+     * 计算偏移量对应的行列号
+     * @param {string} sql - SQL语句
+     * @param {number} offset - 字符偏移量
+     * @returns {Object} {offset, line, column}，行列号从1开始
+     */
+    getPosition(sql, offset) {
+        const before = sql.substring(0, offset);
+        const lines = before.split('\n');
+        return {
+            offset,
+            line: lines.length,
+            column: lines[lines.length - 1].length + 1
+        };
+    }
+
+    /**
+     * 分析单条语句
+     * @param {string} sql - 完整SQL
+     * @param {Array} tokens - 该语句的词法单元（不含注释）
+     * @returns {Object} 语句结构
+     */
+    analyzeStatement(sql, tokens) {
+        const statement = {
+            type: 'UNKNOWN',
+            objectType: null,
+            start: tokens[0].start,
+            end: tokens[tokens.length - 1].end,
+            text: sql.substring(tokens[0].start, tokens[tokens.length - 1].end),
+            tokens,
+            ctes: [],
+            tables: [],
+            clauses: {},
+            intoFile: null,
+            functions: [],
+            unresolvedTable: null
+        };
+
+        let index = 0;
+
+        // WITH 公共表表达式
+        if (this.isWord(tokens[0], 'WITH')) {
+            index = this.skipCTEs(tokens, 1, statement);
+        }
+
+        // 跳过前导括号，如 (SELECT ...) UNION (SELECT ...)
+        let head = index;
+        while (tokens[head] && tokens[head].value === '(') {
+            head++;
+        }
+
+        const first = tokens[head];
+        if (!first) {
+            return statement;
+        }
+        statement.headIndex = head;
+        statement.type = this.resolveStatementType(tokens, head);
+        if (['CREATE', 'DROP', 'ALTER'].includes(statement.type)) {
+            statement.objectType = this.resolveObjectType(tokens, head + 1);
+        }
+
+        this.collectClauses(tokens, head, statement);
+        this.collectTables(tokens, head, statement);
+
+        statement.readOnly = READ_STATEMENTS.has(statement.type) && !statement.intoFile;
+
+        return statement;
+    }
+
+    /**
+     * 判断词法单元是否为指定单词
+     * @param {Object} token - 词法单元
+     * @param {...string} words - 大写单词
+     * @returns {boolean}
+     */
+    isWord(token, ...words) {
+        return !!token && !token.quoted && (token.type === 'keyword' || token.type === 'identifier') && words.includes(token.upper);
+    }
+
+    /**
+     * 跳过WITH子句中的CTE定义
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - WITH之后的位置
+     * @param {Object} statement - 语句结构，记录CTE名称
+     * @returns {number} 主语句开始位置
+     */
+    skipCTEs(tokens, index, statement) {
+        if (this.isWord(tokens[index], 'RECURSIVE')) {
+            index++;
+        }
+
+        while (index < tokens.length) {
+            const nameToken = tokens[index];
+            if (!nameToken || nameToken.type !== 'identifier') {
+                return index;
+            }
+            statement.ctes.push(nameToken.name);
+            index++;
+
+            // 可选列名列表
+            if (tokens[index] && tokens[index].value === '(') {
+                index = this.skipParens(tokens, index);
+            }
+            if (this.isWord(tokens[index], 'AS')) {
+                index++;
+            }
+            if (tokens[index] && tokens[index].value === '(') {
+                const bodyStart = index;
+                index = this.skipParens(tokens, index);
+                // CTE主体中引用的表
+                this.collectTables(tokens.slice(bodyStart + 1, index - 1), 0, statement, true);
+            }
+            if (tokens[index] && tokens[index].value === ',') {
+                index++;
+                continue;
+            }
+            return index;
+        }
+
+        return index;
+    }
+
+    /**
+     * 跳过一对括号
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 左括号位置
+     * @returns {number} 右括号之后的位置
+     */
+    skipParens(tokens, index) {
+        let depth = 0;
+        for (let i = index; i < tokens.length; i++) {
+            if (tokens[i].value === '(') depth++;
+            if (tokens[i].value === ')') {
+                depth--;
+                if (depth === 0) {
+                    return i + 1;
+                }
+            }
+        }
+        return tokens.length;
+    }
+
+    /**
+     * 解析语句类型
+     * @param {Array} tokens - 词法单元
+     * @param {number} head - 语句首个单词位置
+     * @returns {string} 大写语句类型
+     */
+    resolveStatementType(tokens, head) {
+        const first = tokens[head];
+        if (first.type !== 'keyword' && first.type !== 'identifier') {
+            return 'UNKNOWN';
+        }
+        const word = first.upper;
+
+        if (word === 'DESC' || word === 'DESCRIBE') {
+            return 'DESCRIBE';
+        }
+        if (word === 'EXPLAIN') {
+            // EXPLAIN 表名 等同于 DESCRIBE
+            const next = tokens[head + 1];
+            return next && next.type === 'identifier' && !this.isWord(next, 'FORMAT', 'ANALYZE', 'EXTENDED', 'PARTITIONS')
+                ? 'DESCRIBE'
+                : 'EXPLAIN';
+        }
+        if (word === 'BEGIN' || (word === 'START' && this.isWord(tokens[head + 1], 'TRANSACTION'))) {
+            return 'BEGIN';
+        }
+        if (word === 'LOAD' && this.isWord(tokens[head + 1], 'DATA', 'XML')) {
+            return 'LOAD_DATA';
+        }
+        if (word === 'XA') {
+            return 'XA';
+        }
+
+        return word;
+    }
+
+    /**
+     * 解析CREATE/DROP/ALTER的对象类型
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 对象类型开始位置
+     * @returns {string|null} 对象类型，如 TABLE、DATABASE、INDEX、USER
+     */
+    resolveObjectType(tokens, index) {
+        const modifiers = ['OR', 'REPLACE', 'TEMPORARY', 'UNIQUE', 'FULLTEXT', 'SPATIAL', 'ONLINE', 'OFFLINE',
+            'ALGORITHM', 'DEFINER', 'SQL', 'SECURITY', 'UNDEFINED', 'MERGE', 'TEMPTABLE', 'INVOKER', 'IGNORE', '=',
+            'AGGREGATE', 'CURRENT_USER'];
+        while (tokens[index]) {
+            const token = tokens[index];
+            if (token.type === 'operator' || token.type === 'string' || token.type === 'variable') {
+                index++;
+                continue;
+            }
+            if (modifiers.includes(token.upper)) {
+                index++;
+                continue;
+            }
+            // DEFINER = user@host
+            if (tokens[index - 1] && tokens[index - 1].value === '=') {
+                index++;
+                continue;
+            }
+            break;
+        }
+
+        const token = tokens[index];
+        if (!token || !token.upper) {
+            return null;
+        }
+        return token.upper === 'SCHEMA' ? 'DATABASE' : token.upper;
+    }
+
+    /**
+     * 记录主语句顶层子句的位置
+     * @param {Array} tokens - 词法单元
+     * @param {number} head - 语句首个单词位置
+     * @param {Object} statement - 语句结构
+     */
+    collectClauses(tokens, head, statement) {
+        const clauseWords = ['FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'SET', 'VALUES', 'UNION', 'INTO', 'FOR', 'LOCK', 'ON'];
+        let depth = 0;
+        for (let i = head; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.value === '(') depth++;
+            if (token.value === ')') depth--;
+            if (depth === 0 && token.type === 'keyword' && clauseWords.includes(token.upper) && statement.clauses[token.upper] === undefined) {
+                statement.clauses[token.upper] = i;
+            }
+        }
+    }
+
+    /**
+     * 收集语句中引用的表以及危险结构（INTO OUTFILE、文件读取函数等）
+     * 无法确定某处引用了哪些表时记录在 statement.unresolvedTable 中，由访问策略拒绝执行
+     * @param {Array} tokens - 词法单元
+     * @param {number} head - 开始位置
+     * @param {Object} statement - 语句结构
+     * @param {boolean} [nested] - 是否为CTE等嵌套查询
+     */
+    collectTables(tokens, head, statement, nested = false) {
+        const type = nested ? 'SELECT' : statement.type;
+        // 括号上下文栈：query 表示子查询，expr 表示函数调用或表达式，tables 表示括号包裹的表引用
+        // list 为当前层级FROM/JOIN表引用列表的读取状态，见 readTableListToken
+        const contexts = [{kind: 'query', list: null}];
+        let firstFromHandled = false;
+
+        for (let i = head; i < tokens.length; i++) {
+            const token = tokens[i];
+            const context = contexts[contexts.length - 1];
+
+            if (token.value === '(') {
+                const next = tokens[i + 1];
+                const isQuery = !!next && QUERY_STARTERS.has(next.upper);
+                if (context.list === 'ref') {
+                    // 派生表或 (t1, t2)、(t1 JOIN t2) 这类括号包裹的表引用
+                    contexts.push(isQuery
+                        ? {kind: 'query', list: null, tableRef: true}
+                        : {kind: 'tables', list: 'ref', access: context.access, tableRef: true});
+                } else {
+                    // 表函数（如 JSON_TABLE）的参数按表达式处理
+                    contexts.push({kind: isQuery ? 'query' : 'expr', list: null, tableRef: context.list === 'func'});
+                }
+                continue;
+            }
+            if (token.value === ')') {
+                if (contexts.length > 1) {
+                    const closed = contexts.pop();
+                    if (closed.tableRef) {
+                        contexts[contexts.length - 1].list = 'after';
+                        i = this.skipDerivedAlias(tokens, i + 1) - 1;
+                    }
+                }
+                continue;
+            }
+
+            // 函数调用，函数名与括号之间允许有空白或注释（注释已在切分语句时去掉）
+            if ((token.type === 'identifier' || token.type === 'keyword') && !token.quoted &&
+                tokens[i + 1] && tokens[i + 1].value === '(') {
+                statement.functions.push({name: token.upper, start: token.start});
+            }
+
+            if (context.kind === 'expr') {
+                continue;
+            }
+
+            if (context.list) {
+                const next = this.readTableListToken(tokens, i, statement, context);
+                if (next !== null) {
+                    i = next - 1;
+                    continue;
+                }
+            }
+
+            if (token.type !== 'keyword' && token.type !== 'identifier') {
+                continue;
+            }
+
+            // 语句首部的目标表
+            if (i === head && !nested) {
+                if (type === 'UPDATE') {
+                    this.startTableList(context, 'write');
+                    i = this.skipWords(tokens, i + 1, ['LOW_PRIORITY', 'IGNORE']) - 1;
+                    continue;
+                }
+                if (type === 'INSERT' || type === 'REPLACE') {
+                    let j = this.skipWords(tokens, i + 1, ['LOW_PRIORITY', 'DELAYED', 'HIGH_PRIORITY', 'IGNORE']);
+                    if (this.isWord(tokens[j], 'INTO')) j++;
+                    i = this.readTableRef(tokens, j, statement, 'write') - 1;
+                    continue;
+                }
+                if (['TRUNCATE', 'DESCRIBE', 'TABLE'].includes(type)) {
+                    let j = i + 1;
+                    if (this.isWord(tokens[j], 'TABLE')) j++;
+                    // DESCRIBE SELECT ... 等同于 EXPLAIN，表在后续的FROM中读取
+                    if (type !== 'DESCRIBE' || (tokens[j] && tokens[j].type === 'identifier')) {
+                        i = this.readTableRef(tokens, j, statement, type === 'TRUNCATE' ? 'write' : 'read') - 1;
+                    }
+                    continue;
+                }
+                if (TABLE_MAINTENANCE.includes(type)) {
+                    const j = this.skipWords(tokens, i + 1, ['NO_WRITE_TO_BINLOG', 'LOCAL']);
+                    if (this.isWord(tokens[j], 'TABLE', 'TABLES')) {
+                        this.readTableList(tokens, j + 1, statement, 'read');
+                    }
+                    break;
+                }
+                if (type === 'LOCK') {
+                    this.readLockTables(tokens, i + 1, statement);
+                    break;
+                }
+                if (type === 'CALL') {
+                    // 存储过程内部访问的表无法从语句中得知
+                    this.markUnresolved(statement, token);
+                    continue;
+                }
+                if (['CREATE', 'DROP', 'ALTER', 'RENAME'].includes(type)) {
+                    this.readDDLTables(tokens, i + 1, statement);
+                    break;
+                }
+                if (type === 'SHOW') {
+                    this.readShowTable(tokens, i + 1, statement);
+                    break;
+                }
+            }
+
+            const word = token.upper;
+            if (word === 'FROM' && token.type === 'keyword') {
+                const access = type === 'DELETE' && !firstFromHandled && contexts.length === 1 ? 'write' : 'read';
+                if (contexts.length === 1) firstFromHandled = true;
+                this.startTableList(context, access);
+            } else if (word === 'JOIN' && token.type === 'keyword') {
+                this.startTableList(context, 'read');
+            } else if (word === 'TABLE' && token.type === 'keyword') {
+                // TABLE t 作为子查询、UNION 的一部分或 INSERT ... TABLE t 的数据来源
+                i = this.readTableRef(tokens, i + 1, statement, 'read') - 1;
+            } else if (word === 'INTO' && type !== 'INSERT' && type !== 'REPLACE') {
+                const next = tokens[i + 1];
+                if (this.isWord(next, 'OUTFILE', 'DUMPFILE')) {
+                    statement.intoFile = {kind: next.upper, start: token.start};
+                }
+            } else if (word === 'USING' && type === 'DELETE' && contexts.length === 1) {
+                this.startTableList(context, 'read');
+            }
+        }
+
+        // DELETE t1 FROM t1 JOIN t2：首部列出的别名才是写入目标
+        if (type === 'DELETE' && !nested) {
+            this.resolveDeleteTargets(tokens, head, statement);
+        }
+    }
+
+    /**
+     * 开始读取表引用列表
+     * @param {Object} context - 当前括号层级的上下文
+     * @param {string} access - 列表中表的访问方式：read 或 write
+     */
+    startTableList(context, access) {
+        context.list = 'ref';
+        context.access = access;
+    }
+
+    /**
+     * 在表引用列表中处理一个词法单元
+     * 列表状态：ref 等待表引用，func 表函数，after 表引用之后，cond 连接条件（ON 之后）
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 当前位置
+     * @param {Object} statement - 语句结构
+     * @param {Object} context - 当前括号层级的上下文
+     * @returns {number|null} 下一个待处理的位置；列表已结束时返回 null，当前词法单元按普通语句继续处理
+     */
+    readTableListToken(tokens, index, statement, context) {
+        const token = tokens[index];
+        const next = tokens[index + 1];
+        const nextIsParen = !!next && next.value === '(';
+
+        if (context.list === 'ref') {
+            if (this.isWord(token, 'LATERAL')) {
+                return index + 1;
+            }
+            if (this.isWord(token, 'DUAL')) {
+                context.list = 'after';
+                return index + 1;
+            }
+            if (token.type === 'identifier' && nextIsParen) {
+                context.list = 'func';
+                return index + 1;
+            }
+            if (token.type === 'identifier') {
+                context.list = 'after';
+                return this.readTableRef(tokens, index, statement, context.access);
+            }
+            context.list = null;
+            this.markUnresolved(statement, token);
+            return null;
+        }
+
+        if (context.list === 'after') {
+            if (token.value === ',' || this.isWord(token, 'JOIN', 'STRAIGHT_JOIN')) {
+                context.list = 'ref';
+                return index + 1;
+            }
+            if (this.isWord(token, ...JOIN_MODIFIERS)) {
+                return index + 1;
+            }
+            if (this.isWord(token, 'ON') && !this.isWord(next, 'DUPLICATE')) {
+                context.list = 'cond';
+                return index + 1;
+            }
+            if (this.isWord(token, 'USING') && nextIsParen) {
+                return this.skipParens(tokens, index + 1);
+            }
+        } else if (context.list === 'cond') {
+            // 连接条件之后可以继续以逗号或 JOIN 引用其他表
+            if (token.value === ',' || this.isWord(token, 'JOIN', 'STRAIGHT_JOIN')) {
+                context.list = 'ref';
+                return index + 1;
+            }
+            if (this.isWord(token, 'INNER', 'CROSS', 'NATURAL') || (this.isWord(token, 'LEFT', 'RIGHT') && !nextIsParen)) {
+                context.list = 'after';
+                return index + 1;
+            }
+            if (!this.isTableListEnd(tokens, index)) {
+                return index + 1;
+            }
+        }
+
+        context.list = null;
+        if (!this.isTableListEnd(tokens, index)) {
+            this.markUnresolved(statement, token);
+        }
+        return null;
+    }
+
+    /**
+     * 判断词法单元是否结束表引用列表，如 WHERE、ORDER、UNION、ON DUPLICATE KEY UPDATE
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 当前位置
+     * @returns {boolean}
+     */
+    isTableListEnd(tokens, index) {
+        const token = tokens[index];
+        if (this.isWord(token, 'ON')) {
+            return this.isWord(tokens[index + 1], 'DUPLICATE');
+        }
+        return this.isWord(token, ...TABLE_LIST_END);
+    }
+
+    /**
+     * 记录无法确定引用了哪些表的位置，只保留第一处
+     * @param {Object} statement - 语句结构
+     * @param {Object} [token] - 出现问题的词法单元
+     */
+    markUnresolved(statement, token) {
+        if (!statement.unresolvedTable) {
+            statement.unresolvedTable = {start: token ? token.start : statement.start};
+        }
+    }
+
+    /**
+     * 跳过可选修饰词
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 开始位置
+     * @param {Array} words - 修饰词列表
+     * @returns {number} 跳过后的位置
+     */
+    skipWords(tokens, index, words) {
+        while (this.isWord(tokens[index], ...words)) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * 跳过派生表的别名和列名列表：(SELECT ...) [AS] alias [(c1, c2)]
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 右括号之后的位置
+     * @returns {number} 别名之后的位置
+     */
+    skipDerivedAlias(tokens, index) {
+        if (this.isWord(tokens[index], 'AS')) {
+            index++;
+        }
+        if (tokens[index] && tokens[index].type === 'identifier') {
+            index++;
+            if (tokens[index] && tokens[index].value === '(') {
+                index = this.skipParens(tokens, index);
+            }
+        }
+        return index;
+    }
+
+    /**
+     * 跳过索引提示：USE|IGNORE|FORCE INDEX|KEY [FOR JOIN|ORDER BY|GROUP BY] (...)，多个提示之间可以有逗号
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 开始位置
+     * @returns {number} 索引提示之后的位置，格式不完整时停在提示开始处
+     */
+    skipIndexHints(tokens, index) {
+        while (this.isWord(tokens[index], 'USE', 'IGNORE', 'FORCE') && this.isWord(tokens[index + 1], 'INDEX', 'KEY')) {
+            let j = index + 2;
+            if (this.isWord(tokens[j], 'FOR')) {
+                j = this.skipWords(tokens, j + 1, ['JOIN', 'ORDER', 'GROUP', 'BY']);
+            }
+            if (!tokens[j] || tokens[j].value !== '(') {
+                return index;
+            }
+            index = this.skipParens(tokens, j);
+            if (tokens[index] && tokens[index].value === ',' && this.isWord(tokens[index + 1], 'USE', 'IGNORE', 'FORCE')) {
+                index++;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * 读取以逗号分隔的表引用列表
+     * @returns {number} 列表结束位置
+     */
+    readTableList(tokens, index, statement, access) {
+        index = this.readTableRef(tokens, index, statement, access);
+        while (tokens[index] && tokens[index].value === ',') {
+            index = this.readTableRef(tokens, index + 1, statement, access);
+        }
+        return index;
+    }
+
+    /**
+     * 读取单个表引用：[schema.]table [PARTITION (...)] [[AS] alias] [索引提示]
+     * 派生表（子查询）不读取，由外层扫描处理；该位置不是表名时记为无法确定
+     * @returns {number} 表引用结束位置
+     */
+    readTableRef(tokens, index, statement, access) {
+        const token = tokens[index];
+        if (!token || token.type !== 'identifier') {
+            this.markUnresolved(statement, token || tokens[index - 1]);
+            return index;
+        }
+
+        let schema = null;
+        let name = token.name;
+        let end = index + 1;
+        if (tokens[end] && tokens[end].value === '.' && tokens[end + 1] && tokens[end + 1].type === 'identifier') {
+            schema = name;
+            name = tokens[end + 1].name;
+            end += 2;
+        }
+
+        if (this.isWord(tokens[end], 'PARTITION') && tokens[end + 1] && tokens[end + 1].value === '(') {
+            end = this.skipParens(tokens, end + 1);
+        }
+
+        let alias = null;
+        if (this.isWord(tokens[end], 'AS') && tokens[end + 1] && tokens[end + 1].type === 'identifier') {
+            alias = tokens[end + 1].name;
+            end += 2;
+        } else if (tokens[end] && tokens[end].type === 'identifier' && !this.isWord(tokens[end], 'SET', 'VALUES', 'VALUE')) {
+            alias = tokens[end].name;
+            end += 1;
+        }
+
+        end = this.skipIndexHints(tokens, end);
+
+        // 引用CTE名称时不视为实际表
+        if (!schema && statement.ctes.some(cte => cte.toLowerCase() === name.toLowerCase())) {
+            return end;
+        }
+
+        statement.tables.push({
+            schema,
+            name,
+            alias,
+            access,
+            start: token.start
+        });
+
+        return end;
+    }
+
+    /**
+     * 读取DDL语句中的表
+     * 表、视图之外的对象类型无法确定涉及的表
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 开始位置
+     * @param {Object} statement - 语句结构
+     */
+    readDDLTables(tokens, index, statement) {
+        const objectType = statement.objectType;
+        if (statement.type === 'RENAME') {
+            // RENAME TABLE a TO b, c TO d
+            let i = this.isWord(tokens[index], 'TABLE') ? index + 1 : index;
+            while (i < tokens.length) {
+                i = this.readTableRef(tokens, i, statement, 'write');
+                if (this.isWord(tokens[i], 'TO')) {
+                    i = this.readTableRef(tokens, i + 1, statement, 'write');
+                }
+                if (!tokens[i] || tokens[i].value !== ',') break;
+                i++;
+            }
+            return;
+        }
+
+        for (let i = index; i < tokens.length; i++) {
+            if ((objectType === 'TABLE' || objectType === 'VIEW') && this.isWord(tokens[i], objectType)) {
+                const j = this.skipWords(tokens, i + 1, ['IF', 'NOT', 'EXISTS']);
+                this.readDDLSources(tokens, this.readTableList(tokens, j, statement, 'write'), statement);
+                return;
+            }
+            if (objectType === 'INDEX' && this.isWord(tokens[i], 'ON')) {
+                this.readTableRef(tokens, i + 1, statement, 'write');
+                return;
+            }
+        }
+
+        this.markUnresolved(statement, tokens[index - 1]);
+    }
+
+    /**
+     * 读取建表、建视图、改表语句中引用的其他表
+     * 包括 LIKE t、REFERENCES t、RENAME TO t、WITH TABLE t，以及 AS SELECT 查询中的表
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 目标表之后的位置
+     * @param {Object} statement - 语句结构
+     */
+    readDDLSources(tokens, index, statement) {
+        let depth = 0;
+        for (let i = index; i < tokens.length; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            if (token.value === '(') {
+                if (depth === 0 && this.isDDLQueryStart(tokens, i + 1)) {
+                    this.readDDLQuery(tokens.slice(i + 1), statement);
+                    return;
+                }
+                depth++;
+                continue;
+            }
+            if (token.value === ')') {
+                depth--;
+                continue;
+            }
+
+            if (this.isWord(token, 'WITH') && this.isWord(next, 'TABLE')) {
+                i = this.readTableRef(tokens, i + 2, statement, 'write') - 1;
+            } else if (depth === 0 && this.isDDLQueryStart(tokens, i)) {
+                this.readDDLQuery(tokens.slice(i), statement);
+                return;
+            } else if (this.isWord(token, 'LIKE', 'REFERENCES') && next && next.type === 'identifier') {
+                i = this.readTableRef(tokens, i + 1, statement, 'read') - 1;
+            } else if (this.isWord(token, 'RENAME') && !this.isWord(next, 'COLUMN', 'INDEX', 'KEY')) {
+                const j = this.isWord(next, 'TO', 'AS') ? i + 2 : i + 1;
+                i = this.readTableRef(tokens, j, statement, 'write') - 1;
+            }
+        }
+    }
+
+    /**
+     * 判断DDL语句中的位置是否为查询开始：SELECT、TABLE 或 WITH 公共表表达式
+     * WITH CHECK OPTION、WITH PARSER 等子句不是查询
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 当前位置
+     * @returns {boolean}
+     */
+    isDDLQueryStart(tokens, index) {
+        const token = tokens[index];
+        const next = tokens[index + 1];
+        const afterName = tokens[index + 2];
+        if (this.isWord(token, 'SELECT', 'TABLE')) {
+            return true;
+        }
+        return this.isWord(token, 'WITH') && (this.isWord(next, 'RECURSIVE') ||
+            (!!next && next.type === 'identifier' && !!afterName && (this.isWord(afterName, 'AS') || afterName.value === '(')));
+    }
+
+    /**
+     * 读取 CREATE TABLE ... AS SELECT、CREATE VIEW ... AS SELECT 中查询引用的表
+     * @param {Array} tokens - 从查询开始的词法单元
+     * @param {Object} statement - 语句结构
+     */
+    readDDLQuery(tokens, statement) {
+        const start = this.isWord(tokens[0], 'WITH') ? this.skipCTEs(tokens, 1, statement) : 0;
+        this.collectTables(tokens, start, statement, true);
+    }
+
+    /**
+     * 读取 LOCK TABLES 语句中的表：LOCK TABLES t1 [AS] a READ, t2 WRITE
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - LOCK 之后的位置
+     * @param {Object} statement - 语句结构
+     */
+    readLockTables(tokens, index, statement) {
+        if (!this.isWord(tokens[index], 'TABLE', 'TABLES')) {
+            return;
+        }
+        let i = index + 1;
+        while (i < tokens.length) {
+            i = this.readTableRef(tokens, i, statement, 'read');
+            i = this.skipWords(tokens, i, ['READ', 'LOCAL', 'LOW_PRIORITY', 'WRITE']);
+            if (!tokens[i] || tokens[i].value !== ',') break;
+            i++;
+        }
+    }
+
+    /**
+     * 读取SHOW语句中的表，如 SHOW COLUMNS FROM t、SHOW CREATE TABLE t
+     * @param {Array} tokens - 词法单元
+     * @param {number} index - 开始位置
+     * @param {Object} statement - 语句结构
+     */
+    readShowTable(tokens, index, statement) {
+        let i = this.skipWords(tokens, index, ['FULL', 'EXTENDED']);
+        if (this.isWord(tokens[i], 'CREATE') && this.isWord(tokens[i + 1], 'TABLE', 'VIEW')) {
+            this.readTableRef(tokens, i + 2, statement, 'read');
+            return;
+        }
+        if (this.isWord(tokens[i], 'COLUMNS', 'FIELDS', 'INDEX', 'INDEXES', 'KEYS') && this.isWord(tokens[i + 1], 'FROM', 'IN')) {
+            this.readTableRef(tokens, i + 2, statement, 'read');
+        }
+    }
+
+    /**
+     * 处理多表DELETE，将首部列出的目标表标记为写入
+     * @param {Array} tokens - 词法单元
+     * @param {number} head - DELETE位置
+     * @param {Object} statement - 语句结构
+     */
+    resolveDeleteTargets(tokens, head, statement) {
+        let i = this.skipWords(tokens, head + 1, ['LOW_PRIORITY', 'QUICK', 'IGNORE']);
+        if (this.isWord(tokens[i], 'FROM')) {
+            // DELETE FROM t1, t2 USING ...：FROM后为目标表，已标记为写入
+            return;
+        }
+
+        const targets = [];
+        while (tokens[i] && tokens[i].type === 'identifier') {
+            let name = tokens[i].name;
+            i++;
+            if (tokens[i] && tokens[i].value === '.' && tokens[i + 1]) {
+                // t.* 或 schema.t
+                name = tokens[i + 1].value === '*' ? name : tokens[i + 1].name;
+                i += 2;
+                if (tokens[i] && tokens[i].value === '.') i += 2;
+            }
+            targets.push(name.toLowerCase());
+            if (!tokens[i] || tokens[i].value !== ',') break;
+            i++;
+        }
+
+        if (targets.length === 0) {
+            return;
+        }
+        for (const table of statement.tables) {
+            const names = [table.name.toLowerCase(), table.alias && table.alias.toLowerCase()];
+            table.access = names.some(n => targets.includes(n)) ? 'write' : 'read';
+        }
+    }
+}
+
+module.exports = SQLParser;
@@ -3,56 +3,170 @@
  * 提供SQL语句的安全性验证功能
  */
 
+const SQLParser = require('./sqlParser');
+
 class SQLValidator {
     constructor() {
-      // 危险关键词列表
-      this.dangerousKeywords = [
-        'drop table', 'drop database', 'truncate', 'create database', 'drop index',
-        'create user', 'drop user', 'grant', 'revoke',
-        'load_file', 'into outfile', 'into dumpfile',
-        'exec', 'execute', 'sp_', 'xp_'
+      this.parser = new SQLParser();
+
+      // 禁止执行的语句类型
+      this.blockedStatements = [
+        'TRUNCATE', 'GRANT', 'REVOKE', 'LOAD_DATA', 'PREPARE', 'EXECUTE', 'DEALLOCATE',
+        'SHUTDOWN', 'KILL', 'INSTALL', 'UNINSTALL', 'HANDLER'
       ];
-      
-      // 允许的操作类型
-      this.allowedOperations = ['select', 'insert', 'update', 'delete', 'show'];
+
+      // 禁止的DDL对象类型
+      this.blockedObjects = {
+        CREATE: ['DATABASE', 'USER', 'FUNCTION', 'PROCEDURE', 'TRIGGER', 'EVENT'],
+        DROP: ['DATABASE', 'TABLE', 'INDEX', 'USER', 'FUNCTION', 'PROCEDURE', 'TRIGGER', 'EVENT'],
+        ALTER: ['USER', 'DATABASE']
+      };
+
+      // 禁止调用的函数（读取服务器文件、执行系统命令）
+      this.dangerousFunctions = ['LOAD_FILE', 'SYS_EXEC', 'SYS_EVAL'];
+
+      // 禁止访问的系统库
+      this.protectedSchemas = ['mysql'];
+
+      // 允许的语句类型、只读模式等按连接配置的规则见 policy.js
     }
   
     /**
      * 验证SQL语句的安全性
      * @param {string} sql - 要验证的SQL语句
-     * @returns {Object} 验证结果
+     * @param {Object} [options] - 验证选项
+     * @param {boolean} [options.allowMultiple=false] - 是否允许多条语句
+     * @returns {Object} 验证结果，失败时包含原因和出错位置
      */
-    validateSQL(sql) {
+    validateSQL(sql, options = {}) {
       if (!sql || typeof sql !== 'string') {
         return {
           isValid: false,
           error: 'SQL语句不能为空且必须是字符串'
         };
       }
-  
-      const cleanSQL = sql.toLowerCase().trim();
-      
-      // 检查是否包含危险关键词
-      for (const keyword of this.dangerousKeywords) {
-        if (cleanSQL.includes(keyword)) {
-          return {
-            isValid: false,
-            error: `检测到危险操作: ${keyword}`
-          };
-        }
+
+      const parsed = this.parser.parse(sql);
+      if (!parsed.success) {
+        return this.reject(sql, `SQL解析失败: ${parsed.error}`, parsed.offset);
       }
-  
-      const operation = this.getOperationType(cleanSQL);
-  
-      // 检查SQL注入风险
-      const injectionCheck = this.checkSQLInjection(cleanSQL);
-      if (!injectionCheck.isValid) {
-        return injectionCheck;
+
+      const statements = parsed.statements;
+      if (statements.length === 0) {
+        return {
+          isValid: false,
+          error: 'SQL语句不能为空'
+        };
       }
-  
+
+      if (statements.length > 1 && !options.allowMultiple) {
+        return this.reject(sql, '不允许一次执行多条语句', statements[1].start, statements[1].tokens[0]);
+      }
+
+      for (const statement of statements) {
+        const result = this.checkStatement(sql, statement);
+        if (!result.isValid) {
+          return result;
+        }
+      }
+
       return {
         isValid: true,
-        operation: operation
+        operation: statements[0].type.toLowerCase(),
+        statements: statements.map(statement => this.summarizeStatement(statement))
+      };
+    }
+
+    /**
+     * 检查单条语句
+     * @param {string} sql - 完整SQL
+     * @param {Object} statement - 解析后的语句
+     * @returns {Object} 检查结果
+     */
+    checkStatement(sql, statement) {
+      const head = statement.tokens[statement.headIndex || 0];
+
+      if (statement.type === 'UNKNOWN') {
+        return this.reject(sql, '无法识别的SQL语句', statement.start, statement.tokens[0]);
+      }
+
+      if (this.blockedStatements.includes(statement.type)) {
+        return this.reject(sql, `检测到危险操作: ${statement.type.replace('_', ' ')}`, head.start, head);
+      }
+
+      const blockedObjects = this.blockedObjects[statement.type];
+      if (blockedObjects && blockedObjects.includes(statement.objectType)) {
+        return this.reject(sql, `检测到危险操作: ${statement.type} ${statement.objectType}`, head.start, head);
+      }
+
+      if (statement.intoFile) {
+        return this.reject(sql, `检测到危险操作: INTO ${statement.intoFile.kind}`, statement.intoFile.start);
+      }
+
+      const dangerousFunction = statement.functions.find(fn => this.dangerousFunctions.includes(fn.name));
+      if (dangerousFunction) {
+        return this.reject(sql, `检测到危险函数: ${dangerousFunction.name}`, dangerousFunction.start);
+      }
+
+      const protectedTable = statement.tables.find(table =>
+        table.schema && this.protectedSchemas.includes(table.schema.toLowerCase()));
+      if (protectedTable) {
+        return this.reject(sql, `禁止访问系统库: ${protectedTable.schema}.${protectedTable.name}`, protectedTable.start);
+      }
+
+      // 连接池会保留 USE 切换后的默认库，之后不带库名的表都会落到系统库上
+      if (statement.type === 'USE') {
+        const schemaToken = statement.tokens[(statement.headIndex || 0) + 1];
+        if (schemaToken && schemaToken.name && this.protectedSchemas.includes(schemaToken.name.toLowerCase())) {
+          return this.reject(sql, `禁止切换到系统库: ${schemaToken.name}`, schemaToken.start, schemaToken);
+        }
+      }
+
+      return this.checkSQLInjection(sql, statement);
+    }
+
+    /**
+     * 生成验证失败结果
+     * @param {string} sql - 完整SQL
+     * @param {string} reason - 失败原因
+     * @param {number} offset - 出错位置
+     * @param {Object} [token] - 出错的词法单元
+     * @returns {Object} 验证结果
+     */
+    reject(sql, reason, offset, token) {
+      const position = this.parser.getPosition(sql, offset);
+      if (!token) {
+        const tokenized = this.parser.tokenize(sql);
+        token = tokenized.success ? tokenized.tokens.find(t => t.start === offset) : null;
+      }
+
+      return {
+        isValid: false,
+        error: `${reason} (第${position.line}行第${position.column}列)`,
+        reason,
+        position,
+        token: token ? token.value : null
+      };
+    }
+
+    /**
+     * 提取语句摘要，供调用方判断语句类型和涉及的表
+     * @param {Object} statement - 解析后的语句
+     * @returns {Object} 语句摘要
+     */
+    summarizeStatement(statement) {
+      return {
+        type: statement.type,
+        objectType: statement.objectType,
+        readOnly: statement.readOnly,
+        text: statement.text,
+        tablesResolved: !statement.unresolvedTable,
+        tables: statement.tables.map(table => ({
+          schema: table.schema,
+          name: table.name,
+          alias: table.alias,
+          access: table.access
+        }))
       };
     }
   
@@ -62,64 +176,67 @@ class SQLValidator {
      * @returns {string} 操作类型
      */
     getOperationType(sql) {
-      const trimmed = sql.trim();
-      if (trimmed.startsWith('select')) return 'select';
-      if (trimmed.startsWith('insert')) return 'insert';
-      if (trimmed.startsWith('update')) return 'update';
-      if (trimmed.startsWith('delete')) return 'delete';
-      return 'unknown';
+      const parsed = this.parser.parse(sql);
+      if (!parsed.success || parsed.statements.length === 0) {
+        return 'unknown';
+      }
+      return parsed.statements[0].type.toLowerCase();
     }
   
     /**
      * 检查SQL注入风险
-     * @param {string} sql - SQL语句
+     * 识别 OR 1=1、OR 'a'='a' 这类恒真条件
+     * @param {string} sql - 完整SQL
+     * @param {Object} statement - 解析后的语句
      * @returns {Object} 检查结果
      */
-    checkSQLInjection(sql) {
-      // 检查常见的SQL注入模式
-      const injectionPatterns = [
-        /union\s+select/i,
-        /;\s*(drop|delete|update|insert)/i,
-        /--\s*$/,
-        /\/\*.*?\*\//,
-        /'.*?'.*?or.*?'.*?'=/i,
-        /".*?".*?or.*?".*?"=/i
-      ];
-  
-      for (const pattern of injectionPatterns) {
-        if (pattern.test(sql)) {
-          return {
-            isValid: false,
-            error: '检测到潜在的SQL注入风险'
-          };
+    checkSQLInjection(sql, statement) {
+      const tokens = statement.tokens;
+      const literal = token => token && (token.type === 'number' || token.type === 'string');
+      const literalValue = token => token.type === 'string' ? `s:${token.text}` : `n:${Number(token.value)}`;
+
+      for (let i = 0; i < tokens.length - 3; i++) {
+        const token = tokens[i];
+        const isOr = (token.type === 'keyword' && token.upper === 'OR') || token.value === '||';
+        if (!isOr) {
+          continue;
+        }
+
+        const left = tokens[i + 1];
+        const operator = tokens[i + 2];
+        const right = tokens[i + 3];
+        if (literal(left) && literal(right) && ['=', '<=>', 'LIKE'].includes(operator.upper || operator.value) &&
+          literalValue(left) === literalValue(right)) {
+          return this.reject(sql, '检测到潜在的SQL注入风险: 恒真条件', token.start, token);
         }
       }
-  
+
       return { isValid: true };
     }
   
     /**
      * 验证SQL查询参数
-     * @param {Array} params - 查询参数
+     * @param {Array|Object} params - 位置参数数组或命名参数对象
      * @returns {Object} 验证结果
      */
     validateParams(params) {
-      if (!Array.isArray(params)) {
+      const isArray = Array.isArray(params);
+      if (!isArray && (!params || typeof params !== 'object')) {
         return {
           isValid: false,
-          error: '参数必须是数组'
+          error: '参数必须是数组或对象'
         };
       }
       
-      // 检查参数类型
-      for (let i = 0; i < params.length; i++) {
-        const param = params[i];
+      // 检查参数类型，对象和数组作为JSON或类型标记传入
+      for (const [key, param] of Object.entries(params)) {
         const type = typeof param;
+        const label = isArray ? Number(key) + 1 : key;
         
-        if (param !== null && !['string', 'number', 'boolean'].includes(type)) {
+        if (param !== null && !['string', 'number', 'boolean', 'object'].includes(type)) {
           return {
             isValid: false,
-            error: `参数 ${i+1} 类型无效: ${type}`
+            error: `参数 ${label} 类型无效: ${type}`
           };
         }
       }
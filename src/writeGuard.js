@@ -0,0 +1,185 @@
+/**
+ * 高影响写操作确认
+ * 执行 UPDATE/DELETE 前评估影响行数，无条件或超出阈值时要求携带一次性确认令牌重新提交
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+// 需要评估影响行数的语句类型
+const GUARDED_STATEMENTS = ['UPDATE', 'DELETE'];
+
+// 语句开头可能出现的修饰符
+const MODIFIERS = ['LOW_PRIORITY', 'QUICK', 'IGNORE'];
+
+class WriteGuard {
+    /**
+     * @param {Object} [limits] - 确认配置，默认读取 config.database
+     * @param {number} [limits.confirmRows] - 影响行数超过该值时需要确认
+     * @param {number} [limits.confirmTokenTTL] - 确认令牌有效期(毫秒)
+     */
+    constructor(limits = config.database) {
+        this.confirmRows = limits.confirmRows;
+        this.tokenTTL = limits.confirmTokenTTL;
+        this.tokens = new Map();
+    }
+
+    /**
+     * 判断语句是否需要评估影响行数
+     * @param {Object} statement - 解析后的语句
+     * @returns {boolean}
+     */
+    isGuarded(statement) {
+        return GUARDED_STATEMENTS.includes(statement.type);
+    }
+
+    /**
+     * 判断写操作是否没有任何范围限制（既没有 WHERE 也没有 LIMIT）
+     * @param {Object} statement - 解析后的语句
+     * @returns {boolean}
+     */
+    isUnbounded(statement) {
+        return statement.clauses.WHERE === undefined && statement.clauses.LIMIT === undefined;
+    }
+
+    /**
+     * 将 UPDATE/DELETE 改写为统计影响行数的 SELECT COUNT(*)
+     * 只处理单表和 UPDATE 多表形式，DELETE 多表形式及带CTE的语句返回null，由调用方改用 EXPLAIN 估算
+     * @param {string} sql - 已绑定参数的SQL
+     * @param {Object} statement - 解析后的语句
+     * @param {Array} values - 参数值
+     * @returns {Object|null} {sql, values} 或 null
+     */
+    buildCountQuery(sql, statement, values) {
+        const {tokens, clauses, headIndex} = statement;
+        if (statement.ctes.length || !this.isGuarded(statement)) {
+            return null;
+        }
+
+        let tableStart = headIndex + 1;
+        while (tokens[tableStart] && tokens[tableStart].type === 'keyword' && MODIFIERS.includes(tokens[tableStart].upper)) {
+            tableStart++;
+        }
+
+        // WHERE/ORDER BY/LIMIT 原样保留，保证统计范围与实际执行一致
+        const tails = [clauses.WHERE, clauses.ORDER, clauses.LIMIT].filter(index => index !== undefined);
+        const tailStart = tails.length ? Math.min(...tails) : tokens.length;
+
+        let tableEnd;
+        if (statement.type === 'UPDATE') {
+            if (clauses.SET === undefined) {
+                return null;
+            }
+            tableEnd = clauses.SET;
+        } else {
+            // DELETE t1 FROM ... 和 DELETE FROM t1 USING ... 为多表形式
+            if (clauses.FROM !== tableStart || tokens.some(token => token.type === 'keyword' && token.upper === 'USING')) {
+                return null;
+            }
+            tableStart++;
+            tableEnd = tailStart;
+        }
+        if (tableEnd <= tableStart) {
+            return null;
+        }
+
+        // 只保留表引用和条件部分的参数，UPDATE 的 SET 部分参数不参与统计
+        const keptValues = [];
+        let placeholderIndex = 0;
+        tokens.forEach((token, index) => {
+            if (token.type !== 'placeholder') {
+                return;
+            }
+            if ((index >= tableStart && index < tableEnd) || index >= tailStart) {
+                keptValues.push(values[placeholderIndex]);
+            }
+            placeholderIndex++;
+        });
+
+        const tables = sql.substring(tokens[tableStart].start, tokens[tableEnd - 1].end);
+        const tail = tailStart < tokens.length ? ` ${sql.substring(tokens[tailStart].start, statement.end)}` : '';
+
+        return {
+            sql: `SELECT COUNT(*) AS total FROM (SELECT 1 FROM ${tables}${tail}) AS _mcp_count`,
+            values: keptValues
+        };
+    }
+
+    /**
+     * 根据影响行数判断是否需要确认
+     * @param {Object} statement - 解析后的语句
+     * @param {number|null} estimatedRows - 预估影响行数，无法评估时为null
+     * @returns {string|null} 需要确认的原因，不需要时返回null
+     */
+    assess(statement, estimatedRows) {
+        if (this.isUnbounded(statement)) {
+            return `${statement.type} 语句没有 WHERE 条件，将影响整张表`;
+        }
+        if (estimatedRows === null) {
+            return `无法评估 ${statement.type} 语句的影响行数`;
+        }
+        if (estimatedRows > this.confirmRows) {
+            return `${statement.type} 语句预计影响 ${estimatedRows} 行，超过确认阈值 ${this.confirmRows} 行`;
+        }
+        return null;
+    }
+
+    /**
+     * 计算请求指纹，令牌只对完全相同的连接、SQL和参数有效
+     * @param {Object} request - 请求内容
+     * @returns {string} 指纹
+     */
+    fingerprint(request) {
+        return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+    }
+
+    /**
+     * 签发一次性确认令牌
+     * @param {Object} request - 请求内容
+     * @returns {Object} {token, expiresAt}
+     */
+    issueToken(request) {
+        this.pruneTokens();
+
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = Date.now() + this.tokenTTL;
+        this.tokens.set(token, {fingerprint: this.fingerprint(request), expiresAt});
+
+        return {token, expiresAt: new Date(expiresAt).toISOString()};
+    }
+
+    /**
+     * 校验并作废确认令牌
+     * @param {string} token - 确认令牌
+     * @param {Object} request - 请求内容
+     * @returns {Object} 校验结果 {isValid, error}
+     */
+    consumeToken(token, request) {
+        this.pruneTokens();
+
+        const entry = this.tokens.get(String(token));
+        if (!entry) {
+            return {isValid: false, error: '确认令牌无效或已过期'};
+        }
+        if (entry.fingerprint !== this.fingerprint(request)) {
+            return {isValid: false, error: '确认令牌与本次请求的连接、SQL或参数不一致'};
+        }
+
+        this.tokens.delete(String(token));
+        return {isValid: true};
+    }
+
+    /**
+     * 清理过期令牌
+     */
+    pruneTokens() {
+        const now = Date.now();
+        for (const [token, entry] of this.tokens) {
+            if (entry.expiresAt <= now) {
+                this.tokens.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = WriteGuard;
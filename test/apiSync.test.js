@@ -0,0 +1,130 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiSyncPlanner = require('../src/apiSync');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const planner = new ApiSyncPlanner();
+
+const ref = name => ({$ref: `#/components/schemas/${name}`});
+const operation = (summary, schema) => ({
+    tags: ['用户'],
+    summary,
+    responses: {'200': {description: '成功', content: {'application/json': {schema}}}}
+});
+
+const SPEC = {
+    openapi: '3.1.0',
+    info: {title: '项目', version: '1.0.0'},
+    paths: {
+        '/users': {get: operation('用户列表', {type: 'array', items: ref('User')})},
+        '/orders': {get: operation('订单列表', {type: 'array', items: ref('Order')})}
+    },
+    components: {
+        schemas: {
+            User: {type: 'object', properties: {id: {type: 'integer'}, address: ref('Address')}},
+            Address: {type: 'object', properties: {city: {type: 'string'}}},
+            Order: {type: 'object', properties: {id: {type: 'integer'}}},
+            'Result<User>': {type: 'object', properties: {data: ref('User')}}
+        }
+    }
+};
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const collect = spec => planner.collectLocal([{file: 'a.json', document: spec}]);
+
+test('以上次同步的摘要为基准判断变更来自哪一侧', () => {
+    const base = planner.nextState({}, planner.diff(collect(SPEC), planner.collectRemote(SPEC), {}), []);
+
+    const localSpec = clone(SPEC);
+    localSpec.paths['/users'].get.description = '本地修改';
+    localSpec.paths['/users'].post = operation('新增用户', ref('User'));
+    delete localSpec.paths['/orders'];
+    const remoteSpec = clone(SPEC);
+    remoteSpec.components.schemas.User.description = '远程修改';
+    remoteSpec.paths['/users'].get.description = '远程也修改';
+    remoteSpec.paths['/users'].get['x-apifox-folder'] = '用户';
+
+    const {changes} = planner.diff(collect(localSpec), planner.collectRemote(remoteSpec), base);
+    assert.deepStrictEqual(changes.map(item => `${item.type} ${item.key} ${item.change} ${item.side}`), [
+        'operation GET /orders removed local',
+        'operation GET /users modified conflict',
+        'operation POST /users added local',
+        'schema User modified remote'
+    ]);
+
+    const push = planner.plan(changes, 'push', 'local');
+    assert.deepStrictEqual(push.push.map(item => item.key), ['GET /users', 'POST /users']);
+    assert.deepStrictEqual(push.skipped.map(item => item.key), ['GET /orders', 'User']);
+    assert.match(push.skipped[0].reason, /不支持删除/);
+
+    assert.deepStrictEqual(planner.plan(changes, 'pull', 'remote').pull.map(item => item.key), ['GET /users', 'User']);
+    assert.strictEqual(planner.plan(changes, 'push', 'abort').aborted, true);
+    assert.deepStrictEqual(planner.plan(changes, 'diff', 'abort').push, []);
+});
+
+test('推送文档只包含要推送的数据模型和两侧一致的被引用数据模型', () => {
+    const localSpec = clone(SPEC);
+    localSpec.paths['/users'].get.description = '本地修改';
+    localSpec.components.schemas['Result<User>'].description = '本地修改';
+    const remoteSpec = clone(SPEC);
+    remoteSpec.components.schemas.User.description = '远程修改';
+
+    const base = planner.nextState({}, planner.diff(collect(SPEC), planner.collectRemote(SPEC), {}), []);
+    const local = collect(localSpec);
+    const diffResult = planner.diff(local, planner.collectRemote(remoteSpec), base);
+    const plan = planner.plan(diffResult.changes, 'push', 'local');
+    assert.deepStrictEqual(plan.push.map(item => item.key), ['GET /users', 'Result<User>']);
+
+    const document = planner.buildPushDocument(plan.push, local, remoteSpec, diffResult.unchanged);
+    assert.deepStrictEqual(Object.keys(document.paths), ['/users']);
+    // User 在远程有修改，不发送；Order 没有被引用，不发送
+    assert.deepStrictEqual(Object.keys(document.components.schemas), ['Result<User>']);
+
+    // 被引用的数据模型两侧一致时逐层带上
+    const unchangedUser = planner.diff(local, planner.collectRemote(localSpec), base);
+    const withRefs = planner.buildPushDocument(plan.push, local, remoteSpec, unchangedUser.unchanged);
+    assert.deepStrictEqual(Object.keys(withRefs.components.schemas), ['User', 'Address', 'Result<User>']);
+
+    assert.deepStrictEqual([...planner.collectSchemaRefs({a: [ref('A~1B')], b: {$ref: '#/components/schemas/C/properties/x'}})], ['A/B', 'C']);
+});
+
+test('sync_apis push 不覆盖Apifox中被引用但未推送的数据模型修改', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: SPEC}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-sync-'));
+    const args = {rootDir, projectId: '1', apiKey: 'key'};
+
+    try {
+        await server.handleDownloadAPIs(args);
+
+        const file = path.join(rootDir, '用户', '用户列表.json');
+        const local = JSON.parse(fs.readFileSync(file, 'utf8'));
+        local.paths['/users'].get.description = '本地修改';
+        fs.writeFileSync(file, JSON.stringify(local, null, 2));
+        apifox.getProject('1').components.schemas.User.description = '远程修改';
+
+        const pushed = parseResponse(await server.handleSyncAPIs({...args, mode: 'push'}));
+        assert.strictEqual(pushed.status, 'success');
+        assert.deepStrictEqual(pushed.res.pushed.map(item => item.key), ['GET /users']);
+        assert.deepStrictEqual(pushed.res.skipped.map(item => item.key), ['User']);
+
+        const project = apifox.getProject('1');
+        assert.strictEqual(project.paths['/users'].get.description, '本地修改');
+        assert.strictEqual(project.components.schemas.User.description, '远程修改');
+
+        const body = JSON.parse(apifox.requests.filter(item => item.path.endsWith('import-openapi')).pop().body.input);
+        assert.deepStrictEqual(Object.keys(body.components.schemas), []);
+
+        // 推送后再次对比，只剩远程的数据模型修改
+        const diff = parseResponse(await server.handleSyncAPIs(args));
+        assert.deepStrictEqual(diff.res.changes.map(item => `${item.key} ${item.side}`), ['User remote']);
+    } finally {
+        await apifox.stop();
+    }
+});
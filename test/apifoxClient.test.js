@@ -0,0 +1,185 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const operation = summary => ({tags: ['用户'], summary, responses: {'200': {description: '成功'}}});
+
+const SPEC = {
+    openapi: '3.1.0',
+    info: {title: '项目', version: '1.0.0'},
+    paths: {'/users': {get: operation('用户列表')}},
+    components: {schemas: {User: {type: 'object', properties: {id: {type: 'integer'}}}}}
+};
+
+const document = paths => JSON.stringify({openapi: '3.1.0', info: {title: '导入', version: '1.0.0'}, paths});
+
+test('客户端按配置设置地址、版本、语言和代理', async () => {
+    const apifox = new FakeApifoxServer({apiKey: 'key', apiVersion: '2025-01-01', projects: {1: SPEC}});
+    const baseURL = await apifox.start();
+
+    try {
+        const client = new ApifoxClient({baseURL: `${baseURL}/`, apiVersion: '2025-01-01', locale: 'en-US', retries: 1});
+        assert.strictEqual(client.baseURL, baseURL);
+
+        const spec = await client.exportOpenAPI('1', 'key', {scope: {type: 'ALL'}});
+        assert.deepStrictEqual(spec.paths, SPEC.paths);
+        const [request] = apifox.requests;
+        assert.deepStrictEqual([request.method, request.path, request.query.locale], ['POST', '/v1/projects/1/export-openapi', 'en-US']);
+        assert.strictEqual(request.headers['x-apifox-api-version'], '2025-01-01');
+        assert.strictEqual(request.headers.authorization, 'Bearer key');
+
+        // 版本不一致时服务端拒绝，错误信息带上原因
+        const outdated = new ApifoxClient({baseURL, retries: 1});
+        await assert.rejects(outdated.exportOpenAPI('1', 'key', {}), /不支持的API版本: 2024-03-28/);
+    } finally {
+        await apifox.stop();
+    }
+
+    assert.strictEqual(new ApifoxClient({}).baseURL, 'https://api.apifox.com/v1');
+    assert.deepStrictEqual(new ApifoxClient({proxy: 'http://u%40x:p@proxy.local:8080'}).proxy, {
+        protocol: 'http', host: 'proxy.local', port: 8080, auth: {username: 'u@x', password: 'p'}
+    });
+    assert.strictEqual(new ApifoxClient({}).proxy, undefined);
+    assert.throws(() => new ApifoxClient({proxy: 'not a url'}), /APIFOX_PROXY 不是有效的代理地址/);
+});
+
+test('导入遇到限流和服务端错误时按 Retry-After 和指数退避重试', async () => {
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: {}}});
+    const client = new ApifoxClient({baseURL: await apifox.start(), retries: 3, retryDelay: 5});
+
+    try {
+        apifox.failNext(1, 429, 0);
+        apifox.failNext(1, 503);
+        const result = await client.importOpenAPI('1', 'key', document({'/users': {get: operation('用户列表')}}));
+        assert.strictEqual(result.data.counters.endpointCreated, 1);
+        assert.strictEqual(apifox.requests.length, 3);
+        assert.ok(apifox.getProject('1').paths['/users'].get);
+
+        assert.strictEqual(client.getBackoffDelay(3, {}), 20);
+        assert.strictEqual(client.getBackoffDelay(1, {response: {headers: {'retry-after': '2'}}}), 2000);
+        assert.strictEqual(client.getBackoffDelay(1, {response: {headers: {'retry-after': '3600'}}}), 30000);
+
+        // 重试次数用完后带上尝试次数
+        apifox.failNext(3, 500);
+        const exhausted = await client.importOpenAPI('1', 'key', document({})).catch(error => error);
+        assert.strictEqual(exhausted.attempts, 3);
+        assert.match(exhausted.message, /模拟失败 500/);
+
+        // 客户端错误不重试
+        const before = apifox.requests.length;
+        apifox.failNext(1, 400);
+        const rejected = await client.importOpenAPI('1', 'key', document({})).catch(error => error);
+        assert.strictEqual(rejected.attempts, 1);
+        assert.strictEqual(apifox.requests.length, before + 1);
+    } finally {
+        await apifox.stop();
+    }
+});
+
+test('download_apis、import_openapi 和 sync_apis 通过模拟服务端到端执行', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: SPEC, 2: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 2, retryDelay: 5});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-apifox-'));
+    const args = {rootDir, projectId: '1', apiKey: 'key'};
+
+    try {
+        // 导出失败一次后重试成功
+        apifox.failNext(1, 502);
+        await server.handleDownloadAPIs(args);
+        const file = path.join(rootDir, '用户', '用户列表.json');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).paths, SPEC.paths);
+
+        apifox.failNext(1, 429, 0);
+        const imported = parseResponse(await server.handleImportOpenAPIToApifox({input: `dir#${rootDir}`, projectId: '2', apiKey: 'key'}));
+        assert.strictEqual(imported.status, 'success');
+        assert.deepStrictEqual(apifox.getProject('2').paths, SPEC.paths);
+        assert.deepStrictEqual(apifox.getProject('2').components.schemas, SPEC.components.schemas);
+
+        // 本地新增接口，远程修改数据模型，两侧各自同步
+        const local = JSON.parse(fs.readFileSync(file, 'utf8'));
+        local.paths['/users'].post = operation('新增用户');
+        fs.writeFileSync(file, JSON.stringify(local, null, 2));
+        apifox.getProject('1').components.schemas.User.description = '远程修改';
+
+        const pushed = parseResponse(await server.handleSyncAPIs({...args, mode: 'push'}));
+        assert.deepStrictEqual(pushed.res.pushed.map(item => item.key), ['POST /users']);
+        assert.ok(apifox.getProject('1').paths['/users'].post);
+
+        const pulled = parseResponse(await server.handleSyncAPIs({...args, mode: 'pull'}));
+        assert.deepStrictEqual(pulled.res.pulled.map(item => item.key), ['User']);
+        assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).components.schemas.User.description, '远程修改');
+
+        assert.deepStrictEqual(parseResponse(await server.handleSyncAPIs(args)).res.changes, []);
+
+        await assert.rejects(server.handleDownloadAPIs({...args, apiKey: 'wrong'}), /API密钥无效/);
+    } finally {
+        await apifox.stop();
+    }
+});
+
+test('未传入的项目ID和API密钥使用配置，导入选项按配置补全并校验', () => {
+    const client = new ApifoxClient({apiKey: 'env-key', defaultProjectId: 7, endpointFolderId: 76, schemaOverwriteBehavior: 'KEEP_EXISTING'});
+    assert.deepStrictEqual(client.resolveCredentials(), {projectId: '7', apiKey: 'env-key'});
+    assert.deepStrictEqual(client.resolveCredentials('1', 'key'), {projectId: '1', apiKey: 'key'});
+    assert.throws(() => new ApifoxClient({apiKey: 'key'}).resolveCredentials(), /缺少 projectId.*APIFOX_DEFAULT_PROJECT_ID/);
+    assert.throws(() => new ApifoxClient({}).resolveCredentials('1'), /缺少 apiKey.*APIFOX_API_KEY/);
+
+    assert.deepStrictEqual(client.buildImportOptions(), {
+        endpointOverwriteBehavior: 'OVERWRITE_EXISTING',
+        schemaOverwriteBehavior: 'KEEP_EXISTING',
+        deleteUnmatchedResources: false,
+        targetEndpointFolderId: 76
+    });
+    // 0 表示根目录，不发送目录ID
+    assert.deepStrictEqual(client.buildImportOptions({endpointFolderId: 0, schemaFolderId: '60', endpointOverwriteBehavior: 'AUTO_MERGE', deleteUnmatchedResources: true}), {
+        endpointOverwriteBehavior: 'AUTO_MERGE',
+        schemaOverwriteBehavior: 'KEEP_EXISTING',
+        deleteUnmatchedResources: true,
+        targetSchemaFolderId: 60
+    });
+    assert.strictEqual(new ApifoxClient({}).buildImportOptions({deleteUnmatchedResources: 'true'}).deleteUnmatchedResources, false);
+    assert.throws(() => client.buildImportOptions({schemaFolderId: 'abc'}), /schemaFolderId 必须是数字ID: abc/);
+    assert.throws(() => client.buildImportOptions({endpointOverwriteBehavior: 'REPLACE'}), /不支持的 endpointOverwriteBehavior: REPLACE，可选: OVERWRITE_EXISTING/);
+});
+
+test('import_openapi 和 download_apis 省略凭据时使用配置，导入选项发送到Apifox', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'env-key', projects: {1: SPEC, 2: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1, apiKey: 'env-key', defaultProjectId: '2', schemaFolderId: 60});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-apifox-'));
+
+    try {
+        await server.handleDownloadAPIs({rootDir, projectId: '1'});
+        assert.ok(fs.existsSync(path.join(rootDir, '用户', '用户列表.json')));
+
+        const imported = parseResponse(await server.handleImportOpenAPIToApifox({
+            input: document({'/orders': {get: operation('订单列表')}}),
+            endpointFolderId: 12,
+            endpointOverwriteBehavior: 'KEEP_EXISTING'
+        }));
+        assert.strictEqual(imported.status, 'success');
+        const request = apifox.requests.find(item => item.path === '/v1/projects/2/import-openapi');
+        assert.strictEqual(request.headers.authorization, 'Bearer env-key');
+        assert.deepStrictEqual(request.body.options, {
+            endpointOverwriteBehavior: 'KEEP_EXISTING',
+            schemaOverwriteBehavior: 'OVERWRITE_EXISTING',
+            deleteUnmatchedResources: false,
+            targetEndpointFolderId: 12,
+            targetSchemaFolderId: 60
+        });
+
+        // 选项无效时不发送请求
+        const count = apifox.requests.length;
+        const invalid = parseResponse(await server.handleImportOpenAPIToApifox({input: document({}), schemaOverwriteBehavior: 'REPLACE'}));
+        assert.strictEqual(invalid.status, 'fail');
+        assert.strictEqual(apifox.requests.length, count);
+    } finally {
+        await apifox.stop();
+    }
+});
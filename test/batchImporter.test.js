@@ -0,0 +1,155 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BatchImporter = require('../src/batchImporter');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const importer = new BatchImporter({importConcurrency: 2});
+
+const document = (pathKey, summary) => JSON.stringify({
+    openapi: '3.1.0',
+    info: {title: '导入', version: '1.0.0'},
+    paths: {[pathKey]: {get: {summary, responses: {'200': {description: '成功'}}}}}
+});
+
+test('按并发数导入，单个文件失败不影响其他文件，结果按输入顺序排列', async () => {
+    const files = ['a', 'b', 'c', 'd', 'e'].map(name => ({file: `${name}.json`, path: `/tmp/${name}.json`}));
+    let running = 0;
+    let peak = 0;
+
+    const results = await importer.run(files, async item => {
+        running++;
+        peak = Math.max(peak, running);
+        // 先开始的文件后完成，结果仍按输入顺序
+        await new Promise(resolve => setTimeout(resolve, item.file === 'a.json' ? 20 : 1));
+        running--;
+        if (item.file === 'c.json') {
+            throw Object.assign(new Error('限流'), {response: {status: 429}, attempts: 3});
+        }
+        return {data: {counters: {endpointCreated: 1, schemaUpdated: item.file === 'a.json' ? 2 : 0, note: 'x'}}};
+    });
+
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(results.map(item => item.file), ['a.json', 'b.json', 'c.json', 'd.json', 'e.json']);
+    assert.deepStrictEqual(results[2], {file: 'c.json', path: '/tmp/c.json', success: false, error: '限流', status: 429, attempts: 3});
+    assert.deepStrictEqual(importer.summarize(results), {
+        files: 5, succeeded: 4, failed: 1, counters: {endpointCreated: 4, schemaUpdated: 2}
+    });
+
+    assert.deepStrictEqual(await importer.run(files.slice(0, 1), async () => {
+        throw new Error('网络错误');
+    }, 1), [{file: 'a.json', path: '/tmp/a.json', success: false, error: '网络错误', status: null, attempts: 1}]);
+    assert.deepStrictEqual(await importer.run([], async () => ({})), []);
+});
+
+test('并发数必须是 1 到 10 之间的整数', () => {
+    assert.strictEqual(importer.normalizeConcurrency(), 2);
+    assert.strictEqual(importer.normalizeConcurrency('10'), 10);
+    assert.throws(() => importer.normalizeConcurrency(0), /concurrency 必须是 1 到 10 之间的整数: 0/);
+    assert.throws(() => importer.normalizeConcurrency(11), /1 到 10/);
+    assert.throws(() => importer.normalizeConcurrency(1.5), /1 到 10/);
+    assert.throws(() => importer.normalizeConcurrency(''), /1 到 10/);
+    assert.strictEqual(new BatchImporter({}).concurrency, 3);
+});
+
+test('APIFOX_IMPORT_CONCURRENCY 在加载配置时校验，0 和超出范围的值报错', () => {
+    const load = value => spawnSync(process.execPath, ['-e', "console.log(require('./src/config').apifox.importConcurrency)"], {
+        cwd: path.join(__dirname, '..'),
+        env: {...process.env, APIFOX_IMPORT_CONCURRENCY: value},
+        encoding: 'utf8'
+    });
+
+    assert.strictEqual(load('').stdout.trim(), '3');
+    assert.strictEqual(load('10').stdout.trim(), '10');
+    for (const value of ['0', '20', 'abc']) {
+        const result = load(value);
+        assert.notStrictEqual(result.status, 0);
+        assert.match(result.stderr, new RegExp(`环境变量 APIFOX_IMPORT_CONCURRENCY 必须是 1 到 10 之间的整数: ${value}`));
+    }
+});
+
+test('目录导入记录失败的文件，resume 只重新导入失败的文件', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: {}, 2: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-batch-'));
+    fs.writeFileSync(path.join(rootDir, 'a.json'), document('/a', 'a'));
+    fs.writeFileSync(path.join(rootDir, 'b.json'), document('/b', 'b'));
+    const args = {input: `dir#${rootDir}`, projectId: '1', apiKey: 'key', concurrency: 1};
+
+    try {
+        const noState = parseResponse(await server.handleImportOpenAPIToApifox({...args, resume: true}));
+        assert.match(noState.res, /没有上次导入的记录/);
+
+        apifox.failNext(1, 400);
+        const first = parseResponse(await server.handleImportOpenAPIToApifox(args));
+        assert.strictEqual(first.status, 'fail');
+        assert.deepStrictEqual(first.res.summary, {files: 2, succeeded: 1, failed: 1, counters: {
+            endpointCreated: 1, endpointUpdated: 0, endpointIgnored: 0, endpointDeleted: 0,
+            schemaCreated: 0, schemaUpdated: 0, schemaIgnored: 0, schemaDeleted: 0
+        }});
+        assert.deepStrictEqual(first.res.files.map(item => [item.file, item.success, item.status]), [['a.json', false, 400], ['b.json', true, undefined]]);
+        assert.match(first.res.error, /1 个文件导入失败.*resume: true/);
+        assert.deepStrictEqual(Object.keys(apifox.getProject('1').paths), ['/b']);
+
+        const state = JSON.parse(fs.readFileSync(path.join(rootDir, '.apifox-import'), 'utf8'));
+        assert.deepStrictEqual([state.projectId, state.failed], ['1', ['a.json']]);
+
+        const otherProject = parseResponse(await server.handleImportOpenAPIToApifox({...args, projectId: '2', resume: true}));
+        assert.match(otherProject.res, /上次导入的项目是 1，与本次的项目 2 不一致/);
+
+        const resumed = parseResponse(await server.handleImportOpenAPIToApifox({...args, resume: true}));
+        assert.strictEqual(resumed.status, 'success');
+        assert.deepStrictEqual(resumed.res.files.map(item => item.file), ['a.json']);
+        assert.deepStrictEqual(Object.keys(apifox.getProject('1').paths).sort(), ['/a', '/b']);
+
+        const done = parseResponse(await server.handleImportOpenAPIToApifox({...args, resume: true}));
+        assert.match(done.res, /上次导入没有失败的文件/);
+
+        const invalid = parseResponse(await server.handleImportOpenAPIToApifox({...args, concurrency: 50}));
+        assert.match(invalid.res, /concurrency 必须是 1 到 10 之间的整数/);
+    } finally {
+        await apifox.stop();
+    }
+});
+
+test('Apifox返回错误时保留已生效部分的计数并计入汇总', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-batch-'));
+    fs.writeFileSync(path.join(rootDir, 'a.json'), document('/a', 'a'));
+    fs.writeFileSync(path.join(rootDir, 'b.json'), document('/b', 'b'));
+
+    try {
+        apifox.reportErrorsNext(1, '数据模型 Order 导入失败');
+        const rejected = await server.apifoxClient.importOpenAPI('1', 'key', document('/c', 'c')).catch(error => error);
+        assert.strictEqual(rejected.message, '数据模型 Order 导入失败');
+        assert.strictEqual(rejected.counters.endpointCreated, 1);
+        assert.deepStrictEqual(rejected.errors, [{message: '数据模型 Order 导入失败'}]);
+
+        apifox.reportErrorsNext(1, '数据模型 Order 导入失败');
+        const report = parseResponse(await server.handleImportOpenAPIToApifox({input: `dir#${rootDir}`, projectId: '1', apiKey: 'key', concurrency: 1}));
+        assert.strictEqual(report.status, 'fail');
+        assert.deepStrictEqual([report.res.summary.succeeded, report.res.summary.failed], [1, 1]);
+        assert.strictEqual(report.res.summary.counters.endpointCreated, 2);
+        assert.deepStrictEqual(report.res.files[0], {
+            file: 'a.json', path: path.join(rootDir, 'a.json'), success: false, error: '数据模型 Order 导入失败', status: null, attempts: 1,
+            counters: report.res.files[1].counters
+        });
+        assert.deepStrictEqual(Object.keys(apifox.getProject('1').paths), ['/c', '/a', '/b']);
+    } finally {
+        await apifox.stop();
+    }
+
+    assert.deepStrictEqual(importer.summarize([
+        {success: false, error: '网络错误'},
+        {success: false, error: '部分失败', counters: {endpointCreated: 1}},
+        {success: true, counters: {endpointCreated: 2}}
+    ]).counters, {endpointCreated: 3});
+});
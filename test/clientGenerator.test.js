@@ -0,0 +1,163 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ts = require('typescript');
+const ClientGenerator = require('../src/clientGenerator');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const generator = new ClientGenerator();
+
+const HEADER = '// 此文件由 generate_client 生成，请勿手动修改';
+
+const DOCUMENT = {
+    openapi: '3.1.0',
+    info: {title: '项目', version: '1.0.0'},
+    paths: {
+        '/users/{id}': {
+            get: {
+                tags: ['用户'],
+                operationId: 'getUser',
+                parameters: [
+                    {name: 'id', in: 'path', required: true, schema: {type: 'integer'}},
+                    {name: 'fields', in: 'query', schema: {type: 'array', items: {type: 'string'}}}
+                ],
+                responses: {'200': {description: '成功', content: {'application/json': {schema: {$ref: '#/components/schemas/User'}}}}}
+            }
+        }
+    },
+    components: {
+        schemas: {
+            User: {type: 'object', required: ['id'], properties: {id: {type: 'integer'}, role: {enum: ['admin', 'user']}}}
+        }
+    }
+};
+
+test('生成类型、按标签分组的请求函数和入口文件', () => {
+    const {files, summary, warnings} = generator.generate(DOCUMENT);
+    assert.deepStrictEqual(Object.keys(files), ['types.ts', 'http.ts', '用户.ts', 'index.ts']);
+    assert.deepStrictEqual(summary, {schemas: 1, operations: 1, tags: 1});
+    assert.deepStrictEqual(warnings, []);
+
+    assert.ok(Object.values(files).every(content => content.startsWith(HEADER)));
+    assert.match(files['types.ts'], /export interface User {\n    id: number;\n    role\?: 'admin' \| 'user';\n}/);
+    assert.match(files['用户.ts'], /import type {User} from '.\/types';/);
+    assert.match(files['用户.ts'], /export function getUser\(params: {\n    id: number;\n    fields\?: Array<string>;\n}, options\?: RequestOptions\): Promise<User>/);
+    assert.match(files['用户.ts'], /pathParams: {id: params.id},\n        query: {fields: params.fields}/);
+    assert.match(files['index.ts'], /export \* as 用户 from '.\/用户';/);
+
+    assert.match(files['http.ts'], /export class ApiError/);
+    assert.match(generator.generate(DOCUMENT, {httpClient: 'axios'}).files['http.ts'], /export const http: AxiosInstance = axios.create\(\);/);
+    assert.throws(() => generator.generate(DOCUMENT, {httpClient: 'got'}), /不支持的请求库: got，可选: fetch, axios/);
+});
+
+test('类型、标签模块和接口函数不与 http.ts 导出的名称重名', () => {
+    const operation = (tag, extra) => ({tags: [tag], responses: {'204': {description: '成功'}}, ...extra});
+    const {files} = generator.generate({
+        openapi: '3.1.0',
+        paths: {
+            '/send': {post: operation('request', {
+                operationId: 'request',
+                requestBody: {content: {'application/json': {schema: {$ref: '#/components/schemas/RequestOptions'}}}}
+            })},
+            '/ping': {get: operation('http', {summary: 'configure'})},
+            '/types': {get: operation('types', {summary: 'list'})}
+        },
+        components: {schemas: {RequestOptions: {type: 'object'}, ApiError: {type: 'string'}, configure: {type: 'integer'}}}
+    });
+
+    assert.deepStrictEqual(Object.keys(files).sort(), ['http.ts', 'http2.ts', 'index.ts', 'request2.ts', 'types.ts', 'types2.ts']);
+    assert.match(files['types.ts'], /export type ApiError2 = string;/);
+    assert.match(files['types.ts'], /export type Configure = number;/);
+    assert.match(files['types.ts'], /export type RequestOptions2 = Record<string, unknown>;/);
+    assert.match(files['request2.ts'], /export function request2\(body\?: RequestOptions2, options\?: RequestOptions\)/);
+    assert.match(files['http2.ts'], /export function configure\(/);
+    assert.match(files['index.ts'], /export \* as http2 from '.\/http2';\nexport \* as request2 from '.\/request2';\nexport \* as types2 from '.\/types2';/);
+});
+
+test('写入时跳过未变化的文件、删除不再生成的文件，目标中有手写文件时不修改任何文件', () => {
+    const outputDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-client-')), 'api');
+    const {files} = generator.generate(DOCUMENT);
+
+    const first = generator.writeFiles(files, outputDir);
+    assert.strictEqual(first.written.length, 4);
+    fs.writeFileSync(path.join(outputDir, '订单.ts'), `${HEADER}\n`);
+    fs.writeFileSync(path.join(outputDir, 'custom.ts'), 'export const custom = 1;\n');
+
+    const second = generator.writeFiles(files, outputDir);
+    assert.deepStrictEqual(second, {written: [], unchanged: Object.keys(files).map(name => path.join(outputDir, name)), removed: [path.join(outputDir, '订单.ts')]});
+    assert.ok(fs.existsSync(path.join(outputDir, 'custom.ts')));
+
+    // 检查全部目标文件后才开始删除和写入
+    fs.writeFileSync(path.join(outputDir, '订单.ts'), `${HEADER}\n`);
+    fs.writeFileSync(path.join(outputDir, 'index.ts'), 'export * from "./custom";\n');
+    const changed = {...files, 'types.ts': `${HEADER}\n\nexport {};\n`};
+    assert.throws(() => generator.writeFiles(changed, outputDir), /index\.ts 不是 generate_client 生成的文件/);
+    assert.ok(fs.existsSync(path.join(outputDir, '订单.ts')));
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, 'types.ts'), 'utf8'), files['types.ts']);
+});
+
+test('generate_client 合并本地接口文档生成客户端，存在冲突时不生成', async () => {
+    const {server} = createTestServer();
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-client-'));
+    const rootDir = path.join(tempDir, 'docs');
+    const outputDir = path.join(tempDir, 'api');
+    fs.mkdirSync(path.join(rootDir, '用户'), {recursive: true});
+    fs.writeFileSync(path.join(rootDir, '用户', '获取用户.json'), JSON.stringify(DOCUMENT));
+
+    const generated = parseResponse(await server.handleGenerateClient({rootDir, outputDir, httpClient: 'axios'}));
+    assert.strictEqual(generated.status, 'success');
+    assert.deepStrictEqual(generated.res.summary, {schemas: 1, operations: 1, tags: 1});
+    assert.deepStrictEqual(fs.readdirSync(outputDir).sort(), ['http.ts', 'index.ts', 'types.ts', '用户.ts']);
+    assert.match(fs.readFileSync(path.join(outputDir, 'http.ts'), 'utf8'), /from 'axios'/);
+
+    const conflicting = {...DOCUMENT, components: {schemas: {User: {type: 'string'}}}};
+    fs.writeFileSync(path.join(rootDir, '用户', '其他.json'), JSON.stringify(conflicting));
+    const refused = parseResponse(await server.handleGenerateClient({rootDir, outputDir}));
+    assert.strictEqual(refused.status, 'fail');
+    assert.deepStrictEqual(refused.res.conflicts.map(item => item.key), ['User']);
+
+    await assert.rejects(server.handleGenerateClient({rootDir}), /缺少必要参数: outputDir/);
+    await assert.rejects(server.handleGenerateClient({outputDir}), /缺少必要参数: rootDir/);
+});
+
+test('生成的客户端在 verbatimModuleSyntax 和 erasableSyntaxOnly 下可以通过类型检查', () => {
+    const document = {
+        ...DOCUMENT,
+        paths: {
+            ...DOCUMENT.paths,
+            '/users': {
+                post: {
+                    tags: ['用户'],
+                    summary: '新增用户',
+                    parameters: [{name: 'X-Trace', in: 'header', schema: {type: 'string'}}],
+                    requestBody: {content: {'application/json': {schema: {$ref: '#/components/schemas/User'}}}},
+                    responses: {'201': {description: '成功', content: {'application/json': {schema: {$ref: '#/components/schemas/RequestOptions'}}}}}
+                }
+            }
+        },
+        components: {schemas: {...DOCUMENT.components.schemas, RequestOptions: {type: 'object', properties: {id: {type: 'integer'}}}}}
+    };
+
+    for (const httpClient of ['fetch', 'axios']) {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-client-'));
+        generator.writeFiles(generator.generate(document, {httpClient}).files, outputDir);
+
+        const program = ts.createProgram(fs.readdirSync(outputDir).map(item => path.join(outputDir, item)), {
+            strict: true,
+            noEmit: true,
+            target: ts.ScriptTarget.ES2022,
+            module: ts.ModuleKind.ESNext,
+            moduleResolution: ts.ModuleResolutionKind.Bundler,
+            verbatimModuleSyntax: true,
+            erasableSyntaxOnly: true,
+            lib: ['lib.es2022.d.ts', 'lib.dom.d.ts', 'lib.dom.iterable.d.ts'],
+            types: [],
+            paths: {axios: [path.join(path.dirname(require.resolve('axios/package.json')), 'index.d.ts')]}
+        });
+        const diagnostics = ts.getPreEmitDiagnostics(program).map(item =>
+            `${item.file ? path.basename(item.file.fileName) : ''} TS${item.code}: ${ts.flattenDiagnosticMessageText(item.messageText, '\n')}`);
+        assert.deepStrictEqual(diagnostics, [], httpClient);
+    }
+});
@@ -0,0 +1,158 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ComponentBundler = require('../src/componentBundler');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+// 与 download_apis 一样把无法作为文件名的字符转为全角
+const bundler = new ComponentBundler({fileName: name => name.replace(/\//g, '／').replace(/</g, '＜').replace(/>/g, '＞')});
+
+const ref = name => ({$ref: `#/components/schemas/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`});
+
+const SPEC = {
+    openapi: '3.1.0',
+    info: {title: '项目', version: '1.0.0'},
+    paths: {
+        '/users': {
+            get: {
+                tags: ['用户'],
+                summary: '用户列表',
+                responses: {'200': {description: '成功', content: {'application/json': {schema: ref('Result<User>')}}}}
+            }
+        }
+    },
+    components: {
+        schemas: {
+            User: {type: 'object', properties: {id: {type: 'integer'}}},
+            'Result<User>': {type: 'object', properties: {data: ref('User')}}
+        }
+    }
+};
+
+test('拆分的数据模型保留原名称，文件名相同时追加序号', () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-bundle-'));
+    const schemasDir = bundler.getSchemasDir(rootDir);
+    const schemas = {
+        'A/B': {type: 'object', properties: {next: ref('A／B')}},
+        'A／B': {type: 'string'},
+        ...SPEC.components.schemas
+    };
+
+    const files = bundler.writeSchemas(schemas, rootDir, 'json');
+    assert.deepStrictEqual(files.map(file => path.relative(schemasDir, file)), ['A／B.json', 'A／B_2.json', 'User.json', 'Result＜User＞.json']);
+
+    const written = JSON.parse(fs.readFileSync(path.join(schemasDir, 'A／B.json'), 'utf8'));
+    assert.deepStrictEqual(written, {components: {schemas: {'A/B': {type: 'object', properties: {next: {
+        $ref: './A／B_2.json#/components/schemas/A／B'
+    }}}}}});
+    assert.deepStrictEqual(bundler.relativize(ref('Result<User>'), rootDir, rootDir, 'json'),
+        {$ref: './components/schemas/Result＜User＞.json#/components/schemas/Result<User>'});
+
+    // 合并时按文件中保存的名称还原引用
+    const {schemas: loaded, errors} = bundler.loadSchemas(rootDir);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(loaded, schemas);
+
+    // 再次写入时沿用已分配的文件
+    bundler.writeSchemas({'A／B': {type: 'integer'}}, rootDir, 'json');
+    assert.deepStrictEqual(bundler.loadSchemas(rootDir).schemas['A／B'], {type: 'integer'});
+    assert.strictEqual(bundler.removeSchema(rootDir, 'A／B'), path.join(schemasDir, 'A／B_2.json'));
+    assert.strictEqual(bundler.removeSchema(rootDir, 'A／B'), null);
+    assert.ok(fs.existsSync(path.join(schemasDir, 'A／B.json')));
+});
+
+test('直接保存定义的旧数据模型文件按文件名作为名称', () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-bundle-'));
+    const schemasDir = bundler.getSchemasDir(rootDir);
+    fs.mkdirSync(schemasDir, {recursive: true});
+    fs.writeFileSync(path.join(schemasDir, 'User.json'), JSON.stringify({type: 'object'}));
+    fs.writeFileSync(path.join(schemasDir, 'Order.yaml'), 'type: object\nproperties:\n  user:\n    $ref: ./User.json\n');
+
+    assert.deepStrictEqual(bundler.loadSchemas(rootDir).schemas, {
+        Order: {type: 'object', properties: {user: ref('User')}},
+        User: {type: 'object'}
+    });
+
+    const document = {paths: {'/a': {get: {responses: {'200': {description: '成功', content: {'application/json': {
+        schema: {$ref: './components/schemas/User.json'}
+    }}}}}}}};
+    assert.deepStrictEqual(bundler.bundle(document, path.join(rootDir, 'a.json')).document.components, {schemas: {User: {type: 'object'}}});
+});
+
+test('拆分下载后对比没有变更，目录导入不产生重复的数据模型', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: SPEC, 2: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-bundle-'));
+    const args = {rootDir, projectId: '1', apiKey: 'key'};
+
+    try {
+        await server.handleDownloadAPIs({...args, splitComponents: true});
+        const operation = JSON.parse(fs.readFileSync(path.join(rootDir, '用户', '用户列表.json'), 'utf8'));
+        assert.strictEqual(operation.paths['/users'].get.responses['200'].content['application/json'].schema.$ref,
+            '../components/schemas/Result＜User＞.json#/components/schemas/Result<User>');
+
+        const diff = parseResponse(await server.handleSyncAPIs(args));
+        assert.strictEqual(diff.status, 'success');
+        assert.deepStrictEqual(diff.res.changes, []);
+
+        const imported = parseResponse(await server.handleImportOpenAPIToApifox({input: `dir#${rootDir}`, projectId: '2', apiKey: 'key'}));
+        assert.strictEqual(imported.status, 'success');
+        const project = apifox.getProject('2');
+        assert.deepStrictEqual(Object.keys(project.components.schemas).sort(), ['Result<User>', 'User']);
+        assert.deepStrictEqual(project.paths['/users'].get.responses['200'].content['application/json'].schema, ref('Result<User>'));
+    } finally {
+        await apifox.stop();
+    }
+});
+
+test('名称带 # 和 % 的数据模型拆分后可以还原，无法解码的路径作为合并错误返回', async () => {
+    const special = {
+        openapi: '3.1.0',
+        info: {title: '项目', version: '1.0.0'},
+        paths: {
+            '/rates': {
+                get: {
+                    tags: ['费率'],
+                    summary: '费率列表',
+                    responses: {'200': {description: '成功', content: {'application/json': {schema: ref('A#B')}}}}
+                }
+            }
+        },
+        components: {
+            schemas: {
+                'A#B': {type: 'object', properties: {rate: ref('Rate 100%')}},
+                'Rate 100%': {type: 'number'}
+            }
+        }
+    };
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: special, 2: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-bundle-'));
+    const args = {rootDir, projectId: '1', apiKey: 'key'};
+
+    try {
+        await server.handleDownloadAPIs({...args, splitComponents: true});
+        const operation = JSON.parse(fs.readFileSync(path.join(rootDir, '费率', '费率列表.json'), 'utf8'));
+        assert.strictEqual(operation.paths['/rates'].get.responses['200'].content['application/json'].schema.$ref,
+            '../components/schemas/A%23B.json#/components/schemas/A#B');
+        const schemaFile = JSON.parse(fs.readFileSync(path.join(bundler.getSchemasDir(rootDir), 'A#B.json'), 'utf8'));
+        assert.strictEqual(schemaFile.components.schemas['A#B'].properties.rate.$ref, './Rate 100%25.json#/components/schemas/Rate 100%');
+
+        assert.deepStrictEqual(parseResponse(await server.handleSyncAPIs(args)).res.changes, []);
+        const imported = parseResponse(await server.handleImportOpenAPIToApifox({input: `dir#${rootDir}`, projectId: '2', apiKey: 'key'}));
+        assert.strictEqual(imported.status, 'success');
+        assert.deepStrictEqual(apifox.getProject('2').components.schemas, special.components.schemas);
+    } finally {
+        await apifox.stop();
+    }
+
+    const {document, errors} = bundler.bundle({components: {schemas: {A: {$ref: './Rate 100%.json'}}}}, path.join(rootDir, 'a.json'));
+    assert.deepStrictEqual(document.components.schemas.A, {$ref: './Rate 100%.json'});
+    assert.match(errors[0], /引用 .\/Rate 100%.json 的文件路径无法解码/);
+});
@@ -0,0 +1,94 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExportScope = require('../src/exportScope');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const exportScope = new ExportScope();
+
+const operation = (tag, summary) => ({tags: [tag], summary, responses: {'200': {description: '成功'}}});
+
+const SPEC = {
+    openapi: '3.1.0',
+    info: {title: '项目', version: '1.0.0'},
+    paths: {
+        '/users': {get: operation('用户', '用户列表'), post: operation('管理', '新增用户')},
+        '/users/{id}/orders': {get: operation('用户', '用户订单')},
+        '/orders': {get: operation('订单', '订单列表')}
+    }
+};
+
+test('规范化下载范围并生成导出接口的 scope', () => {
+    const scope = exportScope.normalize({includeTags: [' 用户 ', ''], folderIds: ['12', 3], paths: ['/users/**']});
+    assert.deepStrictEqual(scope, {
+        includeTags: ['用户'],
+        excludeTags: [],
+        folderIds: [12, 3],
+        paths: ['/users/**'],
+        includeApifoxExtensionProperties: false,
+        addFoldersToTags: false
+    });
+    assert.throws(() => exportScope.normalize({includeTags: '用户'}), /includeTags 必须是数组/);
+    assert.throws(() => exportScope.normalize({folderIds: ['a']}), /folderIds 必须是数字ID: a/);
+
+    // 同时指定目录和标签时按目录导出
+    assert.deepStrictEqual(exportScope.toRequest(scope).scope, {type: 'SELECTED_FOLDERS', selectedFolderIds: [12, 3]});
+    assert.deepStrictEqual(exportScope.toRequest(exportScope.normalize({includeTags: ['用户'], excludeTags: ['管理']})), {
+        scope: {type: 'SELECTED_TAGS', selectedTags: ['用户'], excludedByTags: ['管理']},
+        options: {includeApifoxExtensionProperties: false, addFoldersToTags: false}
+    });
+    assert.deepStrictEqual(exportScope.toRequest(exportScope.normalize({addFoldersToTags: true})), {
+        scope: {type: 'ALL'},
+        options: {includeApifoxExtensionProperties: false, addFoldersToTags: true}
+    });
+});
+
+test('路径通配符和本地筛选', () => {
+    const pattern = exportScope.globToRegExp('/users/**');
+    assert.ok(['/users', '/users/1', '/users/{id}/orders'].every(item => pattern.test(item)));
+    assert.ok(!pattern.test('/usersx'));
+    assert.ok(exportScope.globToRegExp('/users/*').test('/users/{id}'));
+    assert.ok(!exportScope.globToRegExp('/users/*').test('/users/{id}/orders'));
+    assert.ok(exportScope.globToRegExp('/v?/a.b').test('/v1/a.b'));
+    assert.ok(!exportScope.globToRegExp('/v?/a.b').test('/v1/aXb'));
+
+    const filtered = exportScope.filter({...SPEC, paths: {...SPEC.paths, '/users': {...SPEC.paths['/users'], parameters: []}}},
+        exportScope.normalize({paths: ['/users/**'], excludeTags: ['管理']}));
+    assert.deepStrictEqual(Object.keys(filtered.paths), ['/users', '/users/{id}/orders']);
+    assert.deepStrictEqual(Object.keys(filtered.paths['/users']), ['get', 'parameters']);
+
+    // 只剩非HTTP方法的路径被移除
+    assert.deepStrictEqual(Object.keys(exportScope.filter(SPEC, exportScope.normalize({includeTags: ['订单']})).paths), ['/orders']);
+    assert.strictEqual(exportScope.filter(SPEC, exportScope.normalize()), SPEC);
+});
+
+test('download_apis 按范围导出并记录范围，sync_apis 按同一范围对比', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: SPEC}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-scope-'));
+    const args = {rootDir, projectId: '1', apiKey: 'key'};
+
+    try {
+        await server.handleDownloadAPIs({...args, includeTags: ['用户'], paths: ['/users']});
+        const exported = apifox.requests.find(item => item.path.endsWith('export-openapi'));
+        assert.deepStrictEqual(exported.body.scope, {type: 'SELECTED_TAGS', selectedTags: ['用户']});
+        assert.deepStrictEqual(fs.readdirSync(path.join(rootDir, '用户')), ['用户列表.json']);
+        assert.ok(!fs.existsSync(path.join(rootDir, '管理')));
+
+        const state = JSON.parse(fs.readFileSync(path.join(rootDir, '.apifox-sync'), 'utf8'));
+        assert.deepStrictEqual(state.scope.includeTags, ['用户']);
+        assert.deepStrictEqual(state.scope.paths, ['/users']);
+
+        // 范围外的远程接口不会被当作新增
+        apifox.getProject('1').paths['/orders'].post = operation('订单', '新增订单');
+        const diff = parseResponse(await server.handleSyncAPIs(args));
+        assert.deepStrictEqual(diff.res.changes, []);
+    } finally {
+        await apifox.stop();
+    }
+});
@@ -0,0 +1,118 @@
+/**
+ * 测试用的假连接池和服务实例
+ * 连接池按SQL调用 handler 返回 [rows, fields]，服务实例的审计日志写入临时文件
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {Client} = require('@modelcontextprotocol/sdk/client/index.js');
+const {InMemoryTransport} = require('@modelcontextprotocol/sdk/inMemory.js');
+
+const AuditLog = require('../../src/auditLog');
+const AccessPolicy = require('../../src/policy');
+
+/**
+ * 创建假连接池
+ * @param {Function} handler - (sql, params) => [rows, fields]，抛出的错误按MySQL错误返回
+ * @returns {Object} 连接池，executed 记录执行过的 {sql, params}
+ */
+function createFakePool(handler = () => [[], []]) {
+    const executed = [];
+    const run = async (sql, params = []) => {
+        const text = typeof sql === 'string' ? sql : sql.sql;
+        executed.push({sql: text, params});
+        return handler(text, params);
+    };
+    const connection = {
+        execute: run,
+        query: run,
+        ping: async () => {},
+        beginTransaction: async () => executed.push({sql: 'BEGIN', params: []}),
+        commit: async () => executed.push({sql: 'COMMIT', params: []}),
+        rollback: async () => executed.push({sql: 'ROLLBACK', params: []}),
+        release: () => {}
+    };
+    return {
+        executed,
+        connection,
+        getConnection: async () => connection,
+        execute: run,
+        query: run
+    };
+}
+
+/**
+ * 创建按 information_schema 返回表结构的假连接池，供 describeTable 使用
+ * @param {Object} tables - 表名到 {comment, columns} 的映射，columns 为 information_schema.COLUMNS 查询返回的行
+ * @returns {Object} 连接池
+ */
+function createTablePool(tables) {
+    return createFakePool((sql, [table]) => {
+        if (sql.includes('information_schema.TABLES')) {
+            return [tables[table] ? [{name: table, comment: tables[table].comment || ''}] : [], []];
+        }
+        if (sql.includes('information_schema.COLUMNS')) {
+            return [tables[table] ? tables[table].columns : [], []];
+        }
+        return [[], []];
+    });
+}
+
+/**
+ * 创建连接到假连接池的服务实例
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.pool] - 假连接池，默认 createFakePool()
+ * @param {Object} [options.policy] - 策略配置 {default, policies}
+ * @returns {Object} {server, pool, auditFile, readAudit}
+ */
+function createTestServer({pool = createFakePool(), policy} = {}) {
+    const MySQLServer = require('../../src/server');
+    const server = new MySQLServer();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-mysql-test-'));
+    const auditFile = path.join(dir, 'audit.jsonl');
+
+    server.auditLog = new AuditLog({logFile: auditFile});
+    server.dbManager.connectWithDSN = async () => ({success: true, db: pool});
+    if (policy) {
+        server.policy = new AccessPolicy(policy);
+    }
+
+    const readAudit = () => fs.existsSync(auditFile)
+        ? fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+        : [];
+
+    return {server, pool, auditFile, readAudit};
+}
+
+/**
+ * 解析工具响应
+ * @param {Object} response - formatResponse 的返回值
+ * @returns {Object} {status, res}
+ */
+function parseResponse(response) {
+    return JSON.parse(response.content[0].text);
+}
+
+/**
+ * 通过MCP客户端调用工具，经过与实际运行相同的工具分发逻辑
+ * @param {Object} server - createTestServer 返回的服务实例
+ * @param {string} name - 工具名称
+ * @param {Object} args - 工具参数
+ * @returns {Promise<Object>} {status, res}
+ */
+async function callTool(server, name, args) {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({name: 'test', version: '1.0.0'});
+    await server.server.connect(serverTransport);
+    await client.connect(clientTransport);
+    try {
+        return parseResponse(await client.callTool({name, arguments: args}));
+    } finally {
+        await client.close();
+        await server.server.close();
+    }
+}
+
+module.exports = {createFakePool, createTablePool, createTestServer, parseResponse, callTool};
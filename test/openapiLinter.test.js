@@ -0,0 +1,127 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAPILinter = require('../src/openapiLinter');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const linter = new OpenAPILinter();
+
+const operation = (summary, extra = {}) => ({summary, responses: {'200': {description: '成功'}}, ...extra});
+const document = (paths, extra = {}) => JSON.stringify({openapi: '3.1.0', info: {title: 't', version: '1'}, paths, ...extra});
+
+const rules = findings => findings.map(item => `${item.severity} ${item.rule} ${item.pointer}`);
+
+test('检查 responses、路径参数、引用和路径冲突', () => {
+    const {findings} = linter.lint(document({
+        '/users': {get: {summary: '列表'}, post: operation('新增', {responses: {}})},
+        '/users/{id}': {
+            get: operation('详情', {parameters: [{name: 'id', in: 'path'}]}),
+            put: operation('修改', {parameters: [{name: 'uid', in: 'path', required: true}]}),
+            delete: operation('删除', {
+                parameters: [{$ref: '#/components/parameters/Id'}],
+                responses: {'200': {$ref: '#/components/responses/Missing'}}
+            })
+        },
+        '/users/{uid}': {get: {responses: {'200': {description: '成功'}}}}
+    }, {components: {parameters: {Id: {name: 'id', in: 'path', required: true}}}}));
+
+    assert.deepStrictEqual(rules(findings), [
+        'error unresolved-ref /paths/~1users~1{id}/delete/responses/200/$ref',
+        'error responses /paths/~1users/get',
+        'error responses /paths/~1users/post/responses',
+        'error path-params /paths/~1users~1{id}/get',
+        'error path-params /paths/~1users~1{id}/put',
+        'error path-params /paths/~1users~1{id}/put',
+        'error path-conflict /paths/~1users~1{uid}',
+        'error path-params /paths/~1users~1{uid}/get',
+        'warning summary /paths/~1users~1{uid}/get'
+    ]);
+    assert.match(findings[3].message, /GET \/users\/{id} 的路径参数 id 必须设置 required: true/);
+    assert.match(findings[4].message, /未声明路径参数 id/);
+    assert.match(findings[5].message, /声明的路径参数 uid 不在路径中/);
+});
+
+test('无法解析的内容、缺少版本和外部引用', () => {
+    assert.deepStrictEqual(rules(linter.lint('{').findings), ['error parse ']);
+    assert.deepStrictEqual(rules(linter.lint('[]').findings), ['error structure ']);
+    assert.deepStrictEqual(rules(linter.lint(JSON.stringify({info: {}})).findings), ['error version ', 'error structure /paths']);
+    assert.deepStrictEqual(rules(linter.lint(document({'/a': {get: operation('a', {
+        responses: {'200': {description: '成功', content: {'application/json': {schema: {$ref: 'https://example.com/a.json'}}}}}
+    })}})).findings), ['warning external-ref /paths/~1a/get/responses/200/content/application~1json/schema/$ref']);
+
+    // YAML 同样可以检查
+    assert.deepStrictEqual(linter.lint('openapi: 3.1.0\npaths:\n  /a:\n    get:\n      summary: a\n').findings.map(item => item.rule), ['responses']);
+});
+
+test('跨文件检查重复的 operationId 和下载时冲突的文件名', () => {
+    const report = linter.lintFiles([
+        {file: 'a.json', content: document({'/a': {get: operation('查询', {tags: ['用户'], operationId: 'query'})}})},
+        {file: 'b.json', content: document({
+            '/b': {get: operation('查询', {tags: ['用户'], operationId: 'query'})},
+            '/c': {get: operation('其他', {operationId: 'other'}), post: operation('另一个', {operationId: 'other'})}
+        })}
+    ]);
+
+    assert.deepStrictEqual(report.summary, {files: 2, errors: 2, warnings: 1});
+    assert.deepStrictEqual(report.files[0].findings, []);
+    assert.deepStrictEqual(rules(report.files[1].findings), [
+        'error duplicate-operation-id /paths/~1c/post/operationId',
+        'error duplicate-operation-id /paths/~1b/get/operationId',
+        'warning file-name-conflict /paths/~1b/get/summary'
+    ]);
+    assert.match(report.files[1].findings[1].message, /a\.json 中的 GET \/a/);
+    assert.strictEqual(report.valid, false);
+});
+
+test('相对路径引用检查文件和位置是否存在', () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-lint-'));
+    fs.mkdirSync(path.join(rootDir, 'components', 'schemas'), {recursive: true});
+    fs.writeFileSync(path.join(rootDir, 'components', 'schemas', 'User.json'), JSON.stringify({type: 'object'}));
+    const filePath = path.join(rootDir, 'api.json');
+    const content = ref => document({'/u': {get: operation('u', {
+        responses: {'200': {description: '成功', content: {'application/json': {schema: {$ref: ref}}}}}
+    })}});
+
+    assert.deepStrictEqual(linter.lint(content('./components/schemas/User.json'), filePath).findings, []);
+    assert.deepStrictEqual(rules(linter.lint(content('./components/schemas/Order.json'), filePath).findings),
+        ['error unresolved-ref /paths/~1u/get/responses/200/content/application~1json/schema/$ref']);
+});
+
+test('lint_openapi 检查目录，import_openapi 存在错误时拒绝导入，force 时强制导入', async () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-lint-'));
+    fs.mkdirSync(path.join(rootDir, '用户'));
+    fs.writeFileSync(path.join(rootDir, '用户', '列表.json'), document({'/users': {get: operation('列表', {tags: ['用户']})}}));
+    fs.writeFileSync(path.join(rootDir, '用户', '详情.yaml'), 'openapi: 3.1.0\npaths:\n  /users/{id}:\n    get:\n      summary: 详情\n      tags: [用户]\n');
+
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+
+    try {
+        const linted = parseResponse(await server.handleLintOpenAPI({input: `dir#${rootDir}`}));
+        assert.strictEqual(linted.status, 'fail');
+        assert.deepStrictEqual(linted.res.summary, {files: 2, errors: 2, warnings: 0});
+        assert.deepStrictEqual(linted.res.files.map(item => [item.file, item.findings.map(finding => finding.rule)]), [
+            [path.join('用户', '列表.json'), []],
+            [path.join('用户', '详情.yaml'), ['responses', 'path-params']]
+        ]);
+
+        const refused = parseResponse(await server.handleImportOpenAPIToApifox({input: `dir#${rootDir}`, projectId: '1', apiKey: 'key'}));
+        assert.strictEqual(refused.status, 'fail');
+        assert.match(refused.res.error, /本地检查发现 2 个错误，未导入/);
+        assert.strictEqual(apifox.requests.length, 0);
+
+        const forced = parseResponse(await server.handleImportOpenAPIToApifox({input: `dir#${rootDir}`, projectId: '1', apiKey: 'key', force: true}));
+        assert.strictEqual(forced.status, 'success');
+        assert.ok(apifox.getProject('1').paths['/users']);
+
+        const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-lint-'));
+        assert.match(parseResponse(await server.handleLintOpenAPI({input: `dir#${empty}`})).res, /没有找到接口文档/);
+    } finally {
+        await apifox.stop();
+    }
+});
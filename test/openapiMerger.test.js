@@ -0,0 +1,102 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAPIMerger = require('../src/openapiMerger');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const merger = new OpenAPIMerger();
+
+const operation = summary => ({summary, responses: {'200': {description: '成功'}}});
+const spec = (paths, schemas, extra = {}) => ({
+    openapi: '3.1.0',
+    info: {title: '项目', version: '1.0.0'},
+    paths,
+    components: {schemas},
+    ...extra
+});
+
+const USER = {type: 'object', properties: {id: {type: 'integer'}}};
+
+test('相同的定义只保留一份，同名不同定义作为冲突返回', () => {
+    const {document, conflicts, warnings, summary} = merger.merge([
+        {file: 'a.json', document: spec({'/users': {get: operation('列表'), parameters: [{name: 'v', in: 'query'}]}}, {User: USER}, {tags: [{name: '用户'}]})},
+        {file: 'b.json', document: spec({'/users': {post: operation('新增')}}, {User: USER}, {tags: [{name: '用户', description: '重复'}, {name: '订单'}]})},
+        {file: 'c.yaml', document: spec({
+            '/users': {get: operation('另一个列表'), parameters: [{name: 'v', in: 'header'}]}
+        }, {User: {type: 'string'}, Order: {type: 'object'}}, {openapi: '3.0.3', info: {title: '其他', version: '2'}})}
+    ]);
+
+    assert.deepStrictEqual(document.info, {title: '项目', version: '1.0.0'});
+    assert.deepStrictEqual(Object.keys(document.paths['/users']), ['get', 'parameters', 'post']);
+    assert.strictEqual(document.paths['/users'].get.summary, '列表');
+    assert.deepStrictEqual(document.components.schemas, {User: USER, Order: {type: 'object'}});
+    assert.deepStrictEqual(document.tags, [{name: '用户'}, {name: '订单'}]);
+
+    assert.deepStrictEqual(conflicts, [
+        {type: 'operation', key: 'GET /users', files: ['a.json', 'c.yaml']},
+        {type: 'path', key: '/users parameters', files: ['a.json', 'c.yaml']},
+        {type: 'component', section: 'schemas', key: 'User', files: ['a.json', 'c.yaml']}
+    ]);
+    assert.deepStrictEqual(warnings, [{file: 'c.yaml', message: 'OpenAPI版本 3.0.3 与 a.json 的 3.1.0 不同，按 3.1.0 导入'}]);
+    assert.deepStrictEqual(summary, {files: 3, operations: 2, components: {schemas: 2}});
+});
+
+test('忽略 x-apifox 扩展字段的差异，没有组件时不生成 components', () => {
+    const merged = merger.merge([
+        {file: 'a.json', document: {openapi: '3.1.0', paths: {'/a': {get: operation('a')}}}},
+        {file: 'b.json', document: {openapi: '3.1.0', paths: {'/a': {get: {...operation('a'), 'x-apifox-folder': '目录'}}}}}
+    ]);
+    assert.deepStrictEqual(merged.conflicts, []);
+    assert.strictEqual(merged.document.components, undefined);
+    assert.strictEqual(merged.document.tags, undefined);
+    assert.deepStrictEqual(merger.merge([]).summary, {files: 0, operations: 0, components: {}});
+});
+
+test('import_openapi merge 合并目录后一次导入，存在冲突时不导入', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: {paths: {'/old': {get: operation('旧接口')}}}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-merge-'));
+    const write = (file, document) => fs.writeFileSync(path.join(rootDir, file), JSON.stringify(document));
+    write('a.json', spec({'/users': {get: operation('列表')}}, {User: USER}));
+    write('b.json', spec({'/users/{id}': {get: operation('详情')}}, {User: USER}));
+    const args = {input: `dir#${rootDir}`, projectId: '1', apiKey: 'key', merge: true, force: true};
+
+    try {
+        write('c.json', spec({'/orders': {get: operation('订单')}}, {User: {type: 'string'}}));
+        const conflicted = parseResponse(await server.handleImportOpenAPIToApifox(args));
+        assert.strictEqual(conflicted.status, 'fail');
+        assert.match(conflicted.res.error, /合并发现 1 个冲突，未导入/);
+        assert.deepStrictEqual(conflicted.res.conflicts, [{type: 'component', section: 'schemas', key: 'User', files: ['a.json', 'c.json']}]);
+        assert.strictEqual(apifox.requests.length, 0);
+
+        fs.unlinkSync(path.join(rootDir, 'c.json'));
+        const imported = parseResponse(await server.handleImportOpenAPIToApifox({...args, deleteUnmatchedResources: true}));
+        assert.strictEqual(imported.status, 'success');
+        assert.strictEqual(imported.res.summary.operations, 2);
+        assert.strictEqual(imported.res.summary.counters.endpointDeleted, 1);
+        assert.strictEqual(apifox.requests.length, 1);
+        assert.deepStrictEqual(Object.keys(apifox.getProject('1').paths).sort(), ['/users', '/users/{id}']);
+        assert.deepStrictEqual(apifox.getProject('1').components.schemas, {User: USER});
+
+        // Apifox返回错误时带上已生效部分的计数
+        apifox.reportErrorsNext(1, '接口 /users 导入失败');
+        const partial = parseResponse(await server.handleImportOpenAPIToApifox(args));
+        assert.strictEqual(partial.status, 'fail');
+        assert.strictEqual(partial.res.error, '✗ 导入部分失败: 接口 /users 导入失败');
+        assert.strictEqual(partial.res.summary.counters.endpointUpdated, 2);
+
+        // 逐个文件导入时删除其他文件中的接口，必须合并导入
+        const perFile = parseResponse(await server.handleImportOpenAPIToApifox({...args, merge: false, deleteUnmatchedResources: true}));
+        assert.match(perFile.res, /不支持 deleteUnmatchedResources/);
+        assert.match(parseResponse(await server.handleImportOpenAPIToApifox({...args, resume: true})).res, /合并导入只发送一次请求，不支持 resume/);
+        assert.match(parseResponse(await server.handleImportOpenAPIToApifox({...args, input: `file#${path.join(rootDir, 'a.json')}`})).res,
+            /resume 和 merge 只适用于目录导入/);
+    } finally {
+        await apifox.stop();
+    }
+});
@@ -0,0 +1,77 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const OpenAPISerializer = require('../src/openapiSerializer');
+const ApifoxClient = require('../src/apifoxClient');
+const FakeApifoxServer = require('../src/fakeApifoxServer');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const serializer = new OpenAPISerializer();
+
+const SPEC = {
+    openapi: '3.1.0',
+    info: {title: '项目', version: '1.0.0'},
+    paths: {
+        '/users': {
+            get: {
+                tags: ['用户'],
+                summary: '用户列表',
+                responses: {'200': {description: '成功', content: {'application/json': {schema: {$ref: '#/components/schemas/User'}}}}}
+            }
+        }
+    },
+    components: {schemas: {User: {type: 'object', properties: {id: {type: 'integer'}}}}}
+};
+
+test('解析 JSON 和 YAML，按扩展名识别格式', () => {
+    assert.deepStrictEqual(serializer.parse(JSON.stringify(SPEC)), {success: true, document: SPEC, format: 'json'});
+    assert.deepStrictEqual(serializer.parse(YAML.stringify(SPEC)), {success: true, document: SPEC, format: 'yaml'});
+    assert.match(serializer.parse('{"openapi": ').error, /^JSON解析失败/);
+    assert.match(serializer.parse('a: [1').error, /^YAML解析失败/);
+    assert.match(serializer.parse('- a').error, /不是有效的OpenAPI对象/);
+    assert.match(serializer.parse('  ').error, /文档内容为空/);
+
+    assert.deepStrictEqual(serializer.getExtensions(), ['.json', '.yaml', '.yml']);
+    assert.strictEqual(serializer.getFormatByFile('a/b.YML'), 'yaml');
+    assert.strictEqual(serializer.getFormatByFile('a.json'), 'json');
+    assert.strictEqual(serializer.getFormatByFile('a.txt'), null);
+    assert.throws(() => serializer.getExtension('xml'), /不支持的文档格式: xml/);
+});
+
+test('序列化时重复引用的对象不生成 YAML 锚点，YAML 输入统一转为 JSON', () => {
+    const shared = {type: 'string'};
+    const yaml = serializer.stringify({a: shared, b: shared}, 'yaml');
+    assert.ok(!yaml.includes('&'));
+    assert.deepStrictEqual(YAML.parse(yaml), {a: {type: 'string'}, b: {type: 'string'}});
+
+    assert.deepStrictEqual(JSON.parse(serializer.toJSON('openapi: 3.1.0\npaths: {}\n')), {openapi: '3.1.0', paths: {}});
+    assert.strictEqual(serializer.toJSON('{"a":1}'), '{"a":1}');
+    assert.strictEqual(serializer.toJSON('{broken'), '{broken');
+});
+
+test('download_apis 按 format 写入 YAML，目录导入识别 .yaml/.yml 文件', async () => {
+    const {server} = createTestServer();
+    const apifox = new FakeApifoxServer({apiKey: 'key', projects: {1: SPEC, 2: {}}});
+    server.apifoxClient = new ApifoxClient({baseURL: await apifox.start(), retries: 1});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-yaml-'));
+
+    try {
+        await server.handleDownloadAPIs({rootDir, projectId: '1', apiKey: 'key', format: 'yaml'});
+        const file = path.join(rootDir, '用户', '用户列表.yaml');
+        const downloaded = YAML.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepStrictEqual(downloaded.paths['/users'].get.summary, '用户列表');
+        assert.deepStrictEqual(downloaded.components.schemas.User, SPEC.components.schemas.User);
+
+        fs.renameSync(file, path.join(rootDir, '用户', '用户列表.yml'));
+        const imported = parseResponse(await server.handleImportOpenAPIToApifox({input: `dir#${rootDir}`, projectId: '2', apiKey: 'key'}));
+        assert.strictEqual(imported.status, 'success');
+        assert.deepStrictEqual(Object.keys(apifox.getProject('2').paths), ['/users']);
+
+        await assert.rejects(server.handleDownloadAPIs({rootDir, projectId: '1', apiKey: 'key', format: 'xml'}), /不支持的文档格式: xml/);
+    } finally {
+        await apifox.stop();
+    }
+});
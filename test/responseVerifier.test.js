@@ -0,0 +1,154 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ResponseVerifier = require('../src/responseVerifier');
+const {createTestServer, parseResponse} = require('./helpers/fakeMysql');
+
+const verifier = new ResponseVerifier();
+
+const DOCUMENT = {
+    openapi: '3.1.0',
+    info: {title: '用户', version: '1.0.0'},
+    servers: [{url: 'https://example.com/api'}],
+    paths: {
+        '/users/{id}': {
+            get: {
+                summary: '获取用户',
+                responses: {
+                    '200': {
+                        description: '成功',
+                        headers: {
+                            'X-Rate-Limit': {required: true, schema: {type: 'integer', maximum: 100}}
+                        },
+                        content: {
+                            'application/json': {schema: {$ref: '#/components/schemas/User'}}
+                        }
+                    },
+                    '4XX': {description: '错误'}
+                }
+            }
+        },
+        '/users/me': {
+            get: {summary: '当前用户', responses: {'204': {description: '无内容'}}}
+        }
+    },
+    components: {
+        schemas: {
+            User: {
+                type: 'object',
+                properties: {
+                    id: {type: 'integer'},
+                    email: {type: 'string', format: 'email'},
+                    tags: {type: 'array', items: {type: 'string'}}
+                },
+                required: ['id', 'email']
+            }
+        }
+    }
+};
+
+const documents = [{file: 'users/获取用户.json', document: DOCUMENT}];
+
+test('按请求方法和路径模板查找接口，固定路径优先', () => {
+    assert.strictEqual(verifier.findOperation(documents, 'GET', '/users/42').pathKey, '/users/{id}');
+    assert.strictEqual(verifier.findOperation(documents, 'get', '/api/users/42/').pathKey, '/users/{id}');
+    assert.strictEqual(verifier.findOperation(documents, 'GET', '/users/me').pathKey, '/users/me');
+    assert.strictEqual(verifier.findOperation(documents, 'POST', '/users/42'), null);
+    assert.strictEqual(verifier.findOperation(documents, 'GET', '/users/42/orders'), null);
+
+    assert.strictEqual(verifier.findResponse(DOCUMENT.paths['/users/{id}'].get.responses, 404).key, '4XX');
+    assert.strictEqual(verifier.findMedia({'application/*': {}}, 'application/json; charset=utf-8').key, 'application/*');
+});
+
+test('逐项报告状态码、响应头和响应体的不一致，并给出 JSON Pointer', () => {
+    const match = verifier.findOperation(documents, 'GET', '/users/42');
+
+    const valid = verifier.verify(match, {status: 200, headers: {'x-rate-limit': '10', 'content-type': 'application/json'}, data: {id: 1, email: 'a@b.co'}});
+    assert.deepStrictEqual([valid.valid, valid.responseKey, valid.mismatches], [true, '200', []]);
+
+    const invalid = verifier.verify(match, {
+        status: 200,
+        headers: {'x-rate-limit': '500', 'content-type': 'application/json'},
+        data: JSON.stringify({id: 'x', email: 'nope', tags: [1]})
+    });
+    assert.strictEqual(invalid.valid, false);
+    assert.deepStrictEqual(invalid.mismatches.map(item => [item.pointer, item.documentPointer]), [
+        ['/headers/x-rate-limit', '/paths/~1users~1{id}/get/responses/200/headers/X-Rate-Limit/schema/maximum'],
+        ['/body/id', '/components/schemas/User/properties/id/type'],
+        ['/body/email', '/components/schemas/User/properties/email/format'],
+        ['/body/tags/0', '/components/schemas/User/properties/tags/items/type']
+    ]);
+
+    const missingHeader = verifier.verify(match, {status: 200, headers: {'content-type': 'text/html'}, data: '<html>'});
+    assert.deepStrictEqual(missingHeader.mismatches.map(item => item.pointer), ['/headers/x-rate-limit', '/headers/content-type']);
+
+    const undocumented = verifier.verify(match, {status: 500, headers: {}, data: ''});
+    assert.match(undocumented.mismatches[0].message, /状态码 500 未在文档中定义，已定义: 200, 4XX/);
+
+    const me = verifier.verify(verifier.findOperation(documents, 'GET', '/users/me'), {status: 204, headers: {}, data: 'x'});
+    assert.match(me.mismatches[0].message, /文档未定义响应体/);
+});
+
+test('OpenAPI 3.0 的 nullable 和布尔形式的 exclusiveMinimum 按 JSON Schema 处理', () => {
+    const legacy = {
+        openapi: '3.0.3',
+        paths: {
+            '/n': {
+                get: {
+                    responses: {
+                        '200': {
+                            description: '成功',
+                            content: {'application/json': {schema: {type: 'object', properties: {
+                                name: {type: 'string', nullable: true},
+                                count: {type: 'integer', minimum: 0, exclusiveMinimum: true}
+                            }}}}
+                        }
+                    }
+                }
+            }
+        }
+    };
+    const match = verifier.findOperation([{file: 'n.json', document: legacy}], 'GET', '/n');
+    const ok = {'content-type': 'application/json'};
+
+    assert.strictEqual(verifier.verify(match, {status: 200, headers: ok, data: {name: null, count: 1}}).valid, true);
+    assert.deepStrictEqual(verifier.verify(match, {status: 200, headers: ok, data: {count: 0}}).mismatches.map(item => item.pointer), ['/body/count']);
+});
+
+test('verify_endpoint 执行请求并按本地接口文档校验响应', async () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-verify-'));
+    fs.mkdirSync(path.join(rootDir, 'users'));
+    fs.writeFileSync(path.join(rootDir, 'users', '获取用户.json'), JSON.stringify({...DOCUMENT, servers: undefined}));
+    fs.writeFileSync(path.join(rootDir, 'users', 'broken.json'), '{');
+
+    const api = http.createServer((req, res) => {
+        const body = req.url === '/users/1' ? {id: 1, email: 'a@b.co'} : {id: 2};
+        res.writeHead(200, {'Content-Type': 'application/json', 'X-Rate-Limit': '5'});
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+    const baseURL = `http://127.0.0.1:${api.address().port}`;
+    const {server} = createTestServer();
+
+    try {
+        const passed = parseResponse(await server.handleVerifyEndpoint({curl: `curl ${baseURL}/users/1`, rootDir}));
+        assert.strictEqual(passed.status, 'success');
+        assert.deepStrictEqual(passed.res.operation, {
+            file: path.join(rootDir, 'users', '获取用户.json'), method: 'GET', path: '/users/{id}', summary: '获取用户', response: '200'
+        });
+        assert.strictEqual(passed.res.skippedFiles.length, 1);
+
+        const failed = parseResponse(await server.handleVerifyEndpoint({curl: `curl ${baseURL}/users/2`, rootDir}));
+        assert.strictEqual(failed.status, 'fail');
+        assert.deepStrictEqual(failed.res.mismatches.map(item => item.pointer), ['/body']);
+        assert.match(failed.res.mismatches[0].message, /email/);
+
+        const unknown = parseResponse(await server.handleVerifyEndpoint({curl: `curl -X DELETE ${baseURL}/users/1`, rootDir}));
+        assert.match(unknown.res.error, /未找到接口 DELETE \/users\/1/);
+    } finally {
+        await new Promise(resolve => api.close(resolve));
+    }
+});
@@ -0,0 +1,82 @@
+const {test} = require('node:test');
+const assert = require('node:assert');
+const SQLParser = require('../src/sqlParser');
+
+const parser = new SQLParser();
+
+// 解析单条语句，返回 schema.name:access 形式的表列表
+const tablesOf = sql => {
+    const parsed = parser.parse(sql);
+    assert.strictEqual(parsed.success, true, parsed.error);
+    const statement = parsed.statements[0];
+    return statement.tables.map(table => `${table.schema ? table.schema + '.' : ''}${table.name}:${table.access}`);
+};
+
+const unresolved = sql => parser.parse(sql).statements[0].unresolvedTable;
+
+test('切分语句并识别类型，分号在括号和字符串中不切分', () => {
+    const parsed = parser.parse("SELECT ';' FROM t; UPDATE t SET a = (1); -- 注释");
+
+    assert.deepStrictEqual(parsed.statements.map(statement => statement.type), ['SELECT', 'UPDATE']);
+    assert.strictEqual(parsed.statements[0].readOnly, true);
+    assert.strictEqual(parsed.statements[1].readOnly, false);
+    assert.strictEqual(parser.parse("SELECT 'x").success, false);
+});
+
+test('读取连接和逗号列表中的全部表', () => {
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a JOIN b ON a.id = b.id, secret s'), ['a:read', 'b:read', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a LEFT JOIN (b, secret) ON 1'), ['a:read', 'b:read', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a LEFT OUTER JOIN b USING (id) NATURAL JOIN c CROSS JOIN d'),
+        ['a:read', 'b:read', 'c:read', 'd:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a JOIN b ON LEFT(a.x, 1) = b.y LEFT JOIN c ON c.id = b.id WHERE x = 1'),
+        ['a:read', 'b:read', 'c:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM app.a, LATERAL (SELECT * FROM secret) l'), ['app.a:read', 'secret:read']);
+});
+
+test('跳过分区选择和索引提示后继续读取表列表', () => {
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a PARTITION (p0), secret'), ['a:read', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a USE INDEX (i), secret'), ['a:read', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a AS x FORCE INDEX FOR JOIN (i), IGNORE KEY (j), secret'),
+        ['a:read', 'secret:read']);
+});
+
+test('读取子查询、派生表和 TABLE 语句中的表', () => {
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a WHERE 1 IN (TABLE secret)'), ['a:read', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM a UNION TABLE secret'), ['a:read', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('INSERT INTO a TABLE secret'), ['a:write', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM (SELECT * FROM secret) AS t (c1), b'), ['secret:read', 'b:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM ((SELECT 1) UNION (SELECT * FROM secret)) t'), ['secret:read']);
+    assert.deepStrictEqual(tablesOf('WITH c AS (SELECT * FROM secret) SELECT * FROM c, b'), ['secret:read', 'b:read']);
+    assert.deepStrictEqual(tablesOf('SELECT * FROM t, JSON_TABLE(t.j, "$[*]" COLUMNS (x INT PATH "$.x")) AS jt, secret'),
+        ['t:read', 'secret:read']);
+});
+
+test('区分写入目标和读取的表', () => {
+    assert.deepStrictEqual(tablesOf('UPDATE a JOIN b ON a.id = b.id, secret SET a.x = 1, a.y = 2'),
+        ['a:write', 'b:write', 'secret:write']);
+    assert.deepStrictEqual(tablesOf('DELETE t1 FROM t1 JOIN t2 ON t1.id = t2.id, secret'), ['t1:write', 't2:read', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('INSERT INTO t SELECT * FROM a JOIN b ON a.id = b.id ON DUPLICATE KEY UPDATE x = 1, y = 2'),
+        ['t:write', 'a:read', 'b:read']);
+    assert.deepStrictEqual(tablesOf('CREATE TABLE t AS SELECT * FROM secret'), ['t:write', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('CREATE VIEW v AS SELECT * FROM secret WITH CHECK OPTION'), ['v:write', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('CREATE TABLE t (id INT, FOREIGN KEY (id) REFERENCES secret (id))'), ['t:write', 'secret:read']);
+    assert.deepStrictEqual(tablesOf('ALTER TABLE t RENAME TO secret'), ['t:write', 'secret:write']);
+    assert.deepStrictEqual(tablesOf('LOCK TABLES a READ, secret WRITE'), ['a:read', 'secret:read']);
+});
+
+test('无法确定引用的表时记录位置', () => {
+    assert.strictEqual(unresolved('SELECT * FROM a JOIN b ON a.id = b.id WHERE a.x = 1'), null);
+    assert.strictEqual(unresolved('SELECT 1 FROM DUAL'), null);
+    assert.strictEqual(unresolved('SELECT * FROM a FOR UPDATE'), null);
+
+    assert.deepStrictEqual(unresolved('CALL sync_orders()'), {start: 0});
+    assert.deepStrictEqual(unresolved('SELECT * FROM a x y'), {start: 18});
+    assert.ok(unresolved('SELECT * FROM a USE INDEX, secret'));
+    assert.ok(unresolved('CREATE ROLE reader'));
+});
+
+test('函数名与括号之间允许空白和注释', () => {
+    const statement = parser.parse('SELECT load_file /* x */ (a), COUNT(*) FROM t').statements[0];
+
+    assert.deepStrictEqual(statement.functions.map(fn => fn.name), ['LOAD_FILE', 'COUNT']);
+});